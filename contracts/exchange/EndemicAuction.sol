@@ -1,44 +1,30 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.15;
 
-import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
 
-import "./EndemicExchangeCore.sol";
+import "./EndemicAuctionStorage.sol";
 
-error InvalidAuction();
-error Unauthorized();
 error InvalidPrice();
-error InvalidDuration();
-error InvalidPriceConfiguration();
-error InvalidAmount();
-
-abstract contract EndemicAuction is
-    OwnableUpgradeable,
-    ReentrancyGuardUpgradeable,
-    EndemicExchangeCore
-{
+error AuctionInProgress();
+error AuctionEnded();
+error AuctionNotEnded();
+error BidTooLow();
+error AuctionNotStarted();
+error InvalidStartTime();
+error InvalidReservePrice();
+error ReservePriceNotRevealed();
+
+abstract contract EndemicAuction is EndemicAuctionStorage {
     using AddressUpgradeable for address;
 
-    uint256 private constant MAX_DURATION = 1000 days;
-    uint256 private constant MIN_DURATION = 1 minutes;
+    uint256 private constant MAX_EXTENSION_DURATION = 1 days;
 
-    mapping(bytes32 => Auction) internal idToAuction;
+    // Time seller has to reveal hidden reserve price after English auction ends
+    uint256 public constant RESERVE_REVEAL_PERIOD = 1 days;
 
-    struct Auction {
-        bytes32 id;
-        uint256 tokenId;
-        uint256 startingPrice;
-        uint256 endingPrice;
-        uint256 duration;
-        uint256 amount;
-        uint256 startedAt;
-        address contractId;
-        address seller;
-        address paymentErc20TokenAddress;
-        bytes4 assetClass;
-    }
+    // Minimal raise over the highest bid in English auctions (500 = 5%)
+    uint256 public constant MIN_BID_INCREMENT = 500;
 
     event AuctionCreated(
         address indexed nftContract,
@@ -63,6 +49,57 @@ abstract contract EndemicAuction is
 
     event AuctionCancelled(bytes32 indexed id);
 
+    event AuctionScheduled(bytes32 indexed id, uint256 startAt);
+
+    event ReservePriceCommitted(bytes32 indexed id, bytes32 reservePriceHash);
+
+    event ReservePriceRevealed(bytes32 indexed id, uint256 reservePrice);
+
+    event ReservePriceChecked(
+        bytes32 indexed id,
+        uint256 highestBid,
+        bool isMet
+    );
+
+    event AuctionUpdated(
+        bytes32 indexed id,
+        uint256 startingPrice,
+        uint256 endingPrice,
+        uint256 duration,
+        address paymentErc20TokenAddress,
+        uint256 startedAt,
+        uint256 endingAt
+    );
+
+    event EnglishAuctionCreated(
+        bytes32 indexed id,
+        uint256 reservePrice,
+        uint256 endingAt
+    );
+
+    event AuctionBid(bytes32 indexed id, address indexed bidder, uint256 price);
+
+    event AuctionExtended(bytes32 indexed id, uint256 endingAt);
+
+    event AuctionExtensionUpdated(
+        uint256 extensionWindow,
+        uint256 extensionDuration
+    );
+
+    event AuctionOutbid(
+        bytes32 indexed id,
+        address indexed bidder,
+        uint256 refundedAmount
+    );
+
+    event AuctionSettled(
+        bytes32 indexed id,
+        uint256 indexed totalPrice,
+        address winner,
+        uint256 amount,
+        uint256 totalFees
+    );
+
     function createAuction(
         address nftContract,
         uint256 tokenId,
@@ -72,50 +109,151 @@ abstract contract EndemicAuction is
         uint256 amount,
         address paymentErc20TokenAddress,
         bytes4 assetClass
-    ) external nonReentrant {
-        _requireCorrectPaymentMethod(paymentErc20TokenAddress);
-
-        _requireCorrectNftInterface(assetClass, nftContract);
+    ) external nonReentrant whenNotPaused {
+        _createAuction(
+            nftContract,
+            tokenId,
+            startingPrice,
+            endingPrice,
+            duration,
+            amount,
+            paymentErc20TokenAddress,
+            assetClass,
+            AuctionType.DUTCH,
+            block.timestamp
+        );
+    }
 
-        _requireTokenOwnership(
+    /**
+     * @notice Lists auction which can't be bid on before `startAt`
+     * @dev Price starts decreasing at `startAt`
+     */
+    function createScheduledAuction(
+        address nftContract,
+        uint256 tokenId,
+        uint256 startingPrice,
+        uint256 endingPrice,
+        uint256 duration,
+        uint256 amount,
+        address paymentErc20TokenAddress,
+        bytes4 assetClass,
+        uint256 startAt
+    ) external nonReentrant whenNotPaused {
+        _createAuction(
+            nftContract,
+            tokenId,
+            startingPrice,
+            endingPrice,
+            duration,
+            amount,
+            paymentErc20TokenAddress,
             assetClass,
+            AuctionType.DUTCH,
+            startAt
+        );
+    }
+
+    /**
+     * @notice Creates ascending-bid auction which accepts bids until duration passes
+     * @dev Bids are escrowed by the exchange, the highest one is settled once auction ends
+     */
+    function createEnglishAuction(
+        address nftContract,
+        uint256 tokenId,
+        uint256 reservePrice,
+        uint256 duration,
+        uint256 amount,
+        address paymentErc20TokenAddress,
+        bytes4 assetClass
+    ) external nonReentrant whenNotPaused {
+        _createEnglishAuction(
             nftContract,
             tokenId,
+            reservePrice,
+            duration,
             amount,
-            _msgSender()
+            paymentErc20TokenAddress,
+            assetClass,
+            block.timestamp
         );
+    }
 
-        bytes32 auctionId = createAuctionId(nftContract, tokenId, _msgSender());
+    /**
+     * @notice Creates English auction which is settled only if the highest bid reaches hidden reserve price
+     * @dev `reservePriceHash` is computed with `hashReservePrice`.
+     * Bid is refunded if seller doesn't reveal reserve price within `RESERVE_REVEAL_PERIOD` after auction ends
+     */
+    function createEnglishAuctionWithReserve(
+        address nftContract,
+        uint256 tokenId,
+        uint256 startingPrice,
+        uint256 duration,
+        uint256 amount,
+        address paymentErc20TokenAddress,
+        bytes4 assetClass,
+        bytes32 reservePriceHash
+    ) external nonReentrant whenNotPaused {
+        if (reservePriceHash == bytes32(0)) revert InvalidReservePrice();
 
-        Auction memory auction = Auction(
-            auctionId,
+        bytes32 auctionId = _createEnglishAuction(
+            nftContract,
             tokenId,
             startingPrice,
-            endingPrice,
             duration,
             amount,
-            block.timestamp,
-            nftContract,
-            msg.sender,
             paymentErc20TokenAddress,
-            assetClass
+            assetClass,
+            block.timestamp
         );
 
-        _validateAuction(auction);
+        idToReservePrice[auctionId].hash = reservePriceHash;
 
-        idToAuction[auctionId] = auction;
+        emit ReservePriceCommitted(auctionId, reservePriceHash);
+    }
 
-        emit AuctionCreated(
+    function revealReservePrice(
+        bytes32 id,
+        uint256 reservePrice,
+        bytes32 salt
+    ) external nonReentrant {
+        Auction memory auction = idToAuction[id];
+        if (!_isActiveAuction(auction)) revert InvalidAuction();
+        if (_msgSender() != auction.seller) revert Unauthorized();
+
+        ReservePrice storage reserve = idToReservePrice[id];
+        if (
+            reserve.hash == bytes32(0) ||
+            reserve.hash != hashReservePrice(id, reservePrice, salt)
+        ) revert InvalidReservePrice();
+
+        reserve.price = reservePrice;
+        reserve.isRevealed = true;
+
+        emit ReservePriceRevealed(id, reservePrice);
+    }
+
+    /**
+     * @notice Lists English auction which accepts bids from `startAt` until duration passes
+     */
+    function createScheduledEnglishAuction(
+        address nftContract,
+        uint256 tokenId,
+        uint256 reservePrice,
+        uint256 duration,
+        uint256 amount,
+        address paymentErc20TokenAddress,
+        bytes4 assetClass,
+        uint256 startAt
+    ) external nonReentrant whenNotPaused {
+        _createEnglishAuction(
             nftContract,
             tokenId,
-            auction.id,
-            auction.startingPrice,
-            auction.endingPrice,
-            auction.duration,
-            auction.seller,
+            reservePrice,
+            duration,
             amount,
             paymentErc20TokenAddress,
-            assetClass
+            assetClass,
+            startAt
         );
     }
 
@@ -123,74 +261,369 @@ abstract contract EndemicAuction is
         external
         payable
         nonReentrant
+        whenNotPaused
     {
         Auction memory auction = idToAuction[id];
 
-        if (!_isActiveAuction(auction)) revert InvalidAuction();
+        if (
+            !_isActiveAuction(auction) ||
+            auction.auctionType != AuctionType.DUTCH
+        ) revert InvalidAuction();
+        if (auction.startedAt > block.timestamp) revert AuctionNotStarted();
         if (auction.seller == _msgSender()) revert Unauthorized();
         if (auction.amount < tokenAmount) revert InvalidAmount();
 
         uint256 currentPrice = _calculateCurrentPrice(auction) * tokenAmount;
         if (currentPrice == 0) revert InvalidPrice();
 
-        if (auction.assetClass == ERC721_ASSET_CLASS) {
-            _removeAuction(auction.id);
-        } else if (auction.assetClass == ERC1155_ASSET_CLASS) {
-            _deductFromAuction(auction, tokenAmount);
-        } else {
-            revert InvalidAssetClass();
+        uint256 requiredValue = currentPrice +
+            _calculateTakerCut(
+                auction.contractId,
+                auction.seller,
+                _msgSender(),
+                currentPrice
+            );
+
+        _requireCorrectValueProvided(
+            requiredValue,
+            auction.paymentErc20TokenAddress,
+            _msgSender()
+        );
+
+        _purchase(auction, tokenAmount, currentPrice);
+
+        _refundEtherOverpayment(
+            _msgSender(),
+            requiredValue,
+            auction.paymentErc20TokenAddress
+        );
+    }
+
+    /**
+     * @notice Buys from multiple auctions paid with the same currency in one transaction
+     * @dev Unused ether is refunded. Unavailable auctions are either skipped or revert all purchases
+     */
+    function batchBid(
+        bytes32[] calldata ids,
+        uint256[] calldata tokenAmounts,
+        address paymentErc20TokenAddress,
+        bool skipUnavailable
+    ) external payable nonReentrant whenNotPaused {
+        if (ids.length != tokenAmounts.length) revert ParametersDiffInSize();
+
+        _requireCorrectPaymentMethod(paymentErc20TokenAddress);
+
+        uint256 remainingValue = msg.value;
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            Auction memory auction = idToAuction[ids[i]];
+
+            if (
+                !_isPurchasable(
+                    auction,
+                    tokenAmounts[i],
+                    paymentErc20TokenAddress
+                )
+            ) {
+                if (skipUnavailable) continue;
+                revert InvalidAuction();
+            }
+
+            uint256 currentPrice = _calculateCurrentPrice(auction) *
+                tokenAmounts[i];
+
+            if (paymentErc20TokenAddress == ZERO_ADDRESS) {
+                uint256 totalPrice = currentPrice +
+                    _calculateTakerCut(
+                        auction.contractId,
+                        auction.seller,
+                        _msgSender(),
+                        currentPrice
+                    );
+                if (remainingValue < totalPrice) revert InvalidValueProvided();
+
+                remainingValue -= totalPrice;
+            }
+
+            _purchase(auction, tokenAmounts[i], currentPrice);
         }
 
-        (
-            uint256 makerCut,
-            uint256 takerCut,
-            address royaltiesRecipient,
-            uint256 royaltieFee,
-            uint256 totalCut
-        ) = _calculateFees(auction.contractId, auction.tokenId, currentPrice);
+        _refundEtherOverpayment(
+            _msgSender(),
+            msg.value - remainingValue,
+            paymentErc20TokenAddress
+        );
+    }
+
+    /**
+     * @notice Places bid on English auction, refunding previous highest bidder
+     * @dev Price is without taker fee, which is escrowed together with the price
+     */
+    function placeBid(bytes32 id, uint256 price)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        Auction memory auction = idToAuction[id];
+
+        if (
+            !_isActiveAuction(auction) ||
+            auction.auctionType != AuctionType.ENGLISH
+        ) revert InvalidAuction();
+        if (auction.startedAt > block.timestamp) revert AuctionNotStarted();
+        if (auction.seller == _msgSender()) revert Unauthorized();
+        if (block.timestamp >= auction.endingAt) revert AuctionEnded();
+
+        Bid memory highestBid = idToHighestBid[id];
+        if (price < _calculateMinimumBid(auction, highestBid))
+            revert BidTooLow();
+
+        uint256 priceWithTakerFee = price +
+            _calculateTakerCut(
+                auction.contractId,
+                auction.seller,
+                _msgSender(),
+                price
+            );
 
         _requireCorrectValueProvided(
-            currentPrice + takerCut,
+            priceWithTakerFee,
             auction.paymentErc20TokenAddress,
             _msgSender()
         );
 
+        if (auction.paymentErc20TokenAddress != ZERO_ADDRESS) {
+            _transferErc20Funds(
+                IERC20(auction.paymentErc20TokenAddress),
+                _msgSender(),
+                address(this),
+                priceWithTakerFee
+            );
+        }
+
+        _increaseEscrowedEther(
+            auction.paymentErc20TokenAddress,
+            priceWithTakerFee
+        );
+
+        idToHighestBid[id] = Bid(_msgSender(), price, priceWithTakerFee);
+
+        // Prevents sniping by pushing the end of auction on late bids
+        uint256 extendedEndingAt = block.timestamp + auctionExtensionDuration;
+        if (
+            auction.endingAt - block.timestamp < auctionExtensionWindow &&
+            extendedEndingAt > auction.endingAt
+        ) {
+            idToAuction[id].endingAt = extendedEndingAt;
+
+            emit AuctionExtended(id, extendedEndingAt);
+        }
+
+        if (highestBid.bidder != ZERO_ADDRESS) {
+            _refundBid(auction, highestBid);
+
+            emit AuctionOutbid(
+                id,
+                highestBid.bidder,
+                highestBid.priceWithTakerFee
+            );
+        }
+
+        _refundEtherOverpayment(
+            _msgSender(),
+            priceWithTakerFee,
+            auction.paymentErc20TokenAddress
+        );
+
+        emit AuctionBid(id, _msgSender(), price);
+    }
+
+    /**
+     * @notice Transfers NFT to the highest bidder and distributes escrowed funds
+     * @dev Can be called by anyone once English auction has ended
+     */
+    function settleAuction(bytes32 id) external nonReentrant whenNotPaused {
+        Auction memory auction = idToAuction[id];
+
+        if (
+            !_isActiveAuction(auction) ||
+            auction.auctionType != AuctionType.ENGLISH
+        ) revert InvalidAuction();
+        if (block.timestamp < auction.endingAt) revert AuctionNotEnded();
+
+        Bid memory highestBid = idToHighestBid[id];
+        if (highestBid.bidder == ZERO_ADDRESS) revert InvalidAuction();
+
+        // Auction stays listed so seller can update or cancel it
+        if (!_checkReservePrice(auction, highestBid.price)) {
+            delete idToHighestBid[id];
+            _refundBid(auction, highestBid);
+            return;
+        }
+
+        _removeAuction(id);
+        delete idToHighestBid[id];
+
+        // Seller moved the token or revoked approval, bidder gets the funds back
+        if (
+            !_isTokenAvailable(
+                auction.assetClass,
+                auction.contractId,
+                auction.tokenId,
+                auction.amount,
+                auction.seller
+            )
+        ) {
+            _refundBid(auction, highestBid);
+
+            emit AuctionCancelled(id);
+            return;
+        }
+
+        (
+            uint256 makerCut,
+            ,
+            address[] memory royaltiesRecipients,
+            uint256[] memory royaltiesCuts,
+
+        ) = _calculateFees(
+                auction.contractId,
+                auction.tokenId,
+                highestBid.price,
+                auction.seller,
+                highestBid.bidder
+            );
+
+        // Taker cut is the one escrowed with the bid
+        uint256 totalCut = makerCut +
+            highestBid.priceWithTakerFee -
+            highestBid.price;
+
+        _decreaseEscrowedEther(
+            auction.paymentErc20TokenAddress,
+            highestBid.priceWithTakerFee
+        );
+
         _transferNFT(
             auction.seller,
-            _msgSender(),
+            highestBid.bidder,
             auction.contractId,
             auction.tokenId,
-            tokenAmount,
+            auction.amount,
             auction.assetClass
         );
 
         _distributeFunds(
-            currentPrice,
+            highestBid.price,
             makerCut,
             totalCut,
-            royaltieFee,
-            royaltiesRecipient,
+            royaltiesCuts,
+            royaltiesRecipients,
             auction.seller,
-            _msgSender(),
+            address(this),
             auction.paymentErc20TokenAddress
         );
 
-        emit AuctionSuccessful(
-            auction.id,
-            currentPrice,
-            _msgSender(),
-            tokenAmount,
+        emit AuctionSettled(
+            id,
+            highestBid.price,
+            highestBid.bidder,
+            auction.amount,
             totalCut
         );
     }
 
-    function cancelAuction(bytes32 id) external nonReentrant {
+    /**
+     * @dev In emergency mode seller or highest bidder can cancel ended English auction,
+     * refunding the highest bid
+     */
+    function cancelAuction(bytes32 id)
+        external
+        nonReentrant
+        whenNotPausedOrEmergency
+    {
+        Auction memory auction = idToAuction[id];
+        address bidder = idToHighestBid[id].bidder;
+        bool isEmergencyExit = emergencyMode &&
+            bidder != ZERO_ADDRESS &&
+            block.timestamp >= auction.endingAt;
+
+        if (
+            _msgSender() != auction.seller &&
+            !(isEmergencyExit && _msgSender() == bidder)
+        ) revert Unauthorized();
+        if (bidder != ZERO_ADDRESS && !isEmergencyExit)
+            revert AuctionInProgress();
+
+        _adminCancelAuction(auction);
+    }
+
+    /**
+     * @notice Changes prices, duration and payment token of the auction, keeping its id
+     * @dev Started auction restarts from now. English auction can't be updated once it has a bid
+     * and its starting and ending price are both the reserve price
+     */
+    function updateAuction(
+        bytes32 id,
+        uint256 startingPrice,
+        uint256 endingPrice,
+        uint256 duration,
+        address paymentErc20TokenAddress
+    ) external nonReentrant whenNotPaused {
         Auction memory auction = idToAuction[id];
+        if (!_isActiveAuction(auction)) revert InvalidAuction();
         if (_msgSender() != auction.seller) revert Unauthorized();
+        if (idToHighestBid[id].bidder != ZERO_ADDRESS)
+            revert AuctionInProgress();
 
-        _removeAuction(auction.id);
+        _requireCorrectPaymentMethod(paymentErc20TokenAddress);
 
-        emit AuctionCancelled(auction.id);
+        _requireTokenOwnership(
+            auction.assetClass,
+            auction.contractId,
+            auction.tokenId,
+            auction.amount,
+            auction.seller
+        );
+
+        auction.startingPrice = startingPrice;
+        auction.endingPrice = endingPrice;
+        auction.duration = duration;
+        auction.paymentErc20TokenAddress = paymentErc20TokenAddress;
+        // Scheduled auction keeps its start time
+        if (auction.startedAt < block.timestamp) {
+            auction.startedAt = block.timestamp;
+        }
+
+        if (auction.auctionType == AuctionType.ENGLISH) {
+            if (startingPrice != endingPrice)
+                revert InvalidPriceConfiguration();
+            auction.endingAt = auction.startedAt + duration;
+        }
+
+        _validateAuction(auction);
+
+        idToAuction[id] = auction;
+
+        emit AuctionUpdated(
+            id,
+            startingPrice,
+            endingPrice,
+            duration,
+            paymentErc20TokenAddress,
+            auction.startedAt,
+            auction.endingAt
+        );
+    }
+
+    /// @param _extensionWindow - bids placed within this time before the end extend English auction
+    /// @param _extensionDuration - time left in English auction after the extension
+    function updateAuctionExtension(
+        uint256 _extensionWindow,
+        uint256 _extensionDuration
+    ) external onlyOwner {
+        _updateAuctionExtension(_extensionWindow, _extensionDuration);
     }
 
     /**
@@ -205,12 +638,63 @@ abstract contract EndemicAuction is
         for (uint256 i = 0; i < ids.length; i++) {
             Auction memory auction = idToAuction[ids[i]];
             if (_isActiveAuction(auction)) {
-                _removeAuction(auction.id);
-                emit AuctionCancelled(auction.id);
+                _adminCancelAuction(auction);
+            }
+        }
+    }
+
+    /**
+     * @notice Cancels auctions whose seller no longer owns or approved the tokens, refunding their bids
+     * @dev Callable by anyone, valid and inactive auctions are skipped
+     */
+    function purgeInvalidAuctions(bytes32[] calldata ids)
+        external
+        nonReentrant
+        whenNotPausedOrEmergency
+    {
+        for (uint256 i = 0; i < ids.length; i++) {
+            Auction memory auction = idToAuction[ids[i]];
+            if (
+                _isActiveAuction(auction) && !_isListedTokenAvailable(auction)
+            ) {
+                _adminCancelAuction(auction);
             }
         }
     }
 
+    /**
+     * @notice Checks that auctions are active and their tokens are still owned and approved by the seller
+     */
+    function validateAuctions(bytes32[] calldata ids)
+        external
+        view
+        returns (bool[] memory isValid)
+    {
+        isValid = new bool[](ids.length);
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            Auction memory auction = idToAuction[ids[i]];
+            isValid[i] =
+                _isActiveAuction(auction) &&
+                _isListedTokenAvailable(auction);
+        }
+    }
+
+    /**
+     * @notice Allows owner to cancel auction while exchange is paused, refunding the highest bid
+     */
+    function cancelAuctionWhenPaused(bytes32 id)
+        external
+        nonReentrant
+        onlyOwner
+        whenPaused
+    {
+        Auction memory auction = idToAuction[id];
+        if (!_isActiveAuction(auction)) revert InvalidAuction();
+
+        _adminCancelAuction(auction);
+    }
+
     function getAuction(bytes32 id)
         external
         view
@@ -221,7 +705,9 @@ abstract contract EndemicAuction is
             uint256 endingPrice,
             uint256 duration,
             uint256 startedAt,
-            uint256 amount
+            uint256 amount,
+            AuctionType auctionType,
+            uint256 endingAt
         )
     {
         Auction memory auction = idToAuction[id];
@@ -233,16 +719,75 @@ abstract contract EndemicAuction is
             auction.endingPrice,
             auction.duration,
             auction.startedAt,
-            auction.amount
+            auction.amount,
+            auction.auctionType,
+            auction.endingAt
         );
     }
 
+    /**
+     * @notice For English auctions this is the minimal price of the next bid
+     */
     function getCurrentPrice(bytes32 id) external view returns (uint256) {
         Auction memory auction = idToAuction[id];
         if (!_isActiveAuction(auction)) revert InvalidAuction();
+
+        if (auction.auctionType == AuctionType.ENGLISH) {
+            return _calculateMinimumBid(auction, idToHighestBid[id]);
+        }
+
         return _calculateCurrentPrice(auction);
     }
 
+    /**
+     * @notice Quotes what `buyer` pays and seller receives for `tokenAmount` tokens at current price
+     * @dev English auction quote is for the minimum next bid on the whole auction
+     */
+    function getAuctionQuote(
+        bytes32 id,
+        uint256 tokenAmount,
+        address buyer
+    ) external view returns (FeeQuote memory) {
+        Auction memory auction = idToAuction[id];
+        if (!_isActiveAuction(auction)) revert InvalidAuction();
+
+        uint256 price;
+        if (auction.auctionType == AuctionType.ENGLISH) {
+            price = _calculateMinimumBid(auction, idToHighestBid[id]);
+        } else {
+            if (tokenAmount == 0 || tokenAmount > auction.amount)
+                revert InvalidAmount();
+
+            price = _calculateCurrentPrice(auction) * tokenAmount;
+        }
+
+        return
+            _getFeeQuote(
+                auction.contractId,
+                auction.tokenId,
+                price,
+                auction.seller,
+                buyer
+            );
+    }
+
+    function hashReservePrice(
+        bytes32 id,
+        uint256 reservePrice,
+        bytes32 salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(id, reservePrice, salt));
+    }
+
+    function getHighestBid(bytes32 id)
+        external
+        view
+        returns (address bidder, uint256 price)
+    {
+        Bid memory highestBid = idToHighestBid[id];
+        return (highestBid.bidder, highestBid.price);
+    }
+
     function createAuctionId(
         address nftContract,
         uint256 tokenId,
@@ -252,8 +797,151 @@ abstract contract EndemicAuction is
             keccak256(abi.encodePacked(nftContract, "-", tokenId, "-", seller));
     }
 
+    function _createAuction(
+        address nftContract,
+        uint256 tokenId,
+        uint256 startingPrice,
+        uint256 endingPrice,
+        uint256 duration,
+        uint256 amount,
+        address paymentErc20TokenAddress,
+        bytes4 assetClass,
+        AuctionType auctionType,
+        uint256 startAt
+    ) internal returns (bytes32) {
+        _requireCorrectPaymentMethod(paymentErc20TokenAddress);
+
+        if (
+            startAt < block.timestamp ||
+            startAt - block.timestamp > MAX_DURATION
+        ) revert InvalidStartTime();
+
+        _requireCorrectNftInterface(assetClass, nftContract);
+
+        _requireTokenOwnership(
+            assetClass,
+            nftContract,
+            tokenId,
+            amount,
+            _msgSender()
+        );
+
+        bytes32 auctionId = createAuctionId(nftContract, tokenId, _msgSender());
+
+        // Recreating auction would lock escrowed funds of the highest bidder
+        if (idToHighestBid[auctionId].bidder != ZERO_ADDRESS)
+            revert AuctionInProgress();
+
+        Auction memory auction = Auction(
+            auctionId,
+            tokenId,
+            startingPrice,
+            endingPrice,
+            duration,
+            amount,
+            startAt,
+            nftContract,
+            _msgSender(),
+            paymentErc20TokenAddress,
+            assetClass,
+            auctionType,
+            auctionType == AuctionType.ENGLISH ? startAt + duration : 0
+        );
+
+        _validateAuction(auction);
+
+        idToAuction[auctionId] = auction;
+        delete idToReservePrice[auctionId];
+
+        emit AuctionCreated(
+            nftContract,
+            tokenId,
+            auction.id,
+            auction.startingPrice,
+            auction.endingPrice,
+            auction.duration,
+            auction.seller,
+            amount,
+            paymentErc20TokenAddress,
+            assetClass
+        );
+
+        if (startAt > block.timestamp) {
+            emit AuctionScheduled(auctionId, startAt);
+        }
+
+        return auctionId;
+    }
+
+    function _createEnglishAuction(
+        address nftContract,
+        uint256 tokenId,
+        uint256 reservePrice,
+        uint256 duration,
+        uint256 amount,
+        address paymentErc20TokenAddress,
+        bytes4 assetClass,
+        uint256 startAt
+    ) internal returns (bytes32) {
+        bytes32 auctionId = _createAuction(
+            nftContract,
+            tokenId,
+            reservePrice,
+            reservePrice,
+            duration,
+            amount,
+            paymentErc20TokenAddress,
+            assetClass,
+            AuctionType.ENGLISH,
+            startAt
+        );
+
+        emit EnglishAuctionCreated(
+            auctionId,
+            reservePrice,
+            idToAuction[auctionId].endingAt
+        );
+
+        return auctionId;
+    }
+
+    function _updateAuctionExtension(
+        uint256 _extensionWindow,
+        uint256 _extensionDuration
+    ) internal {
+        if (
+            _extensionWindow > MAX_EXTENSION_DURATION ||
+            _extensionDuration > MAX_EXTENSION_DURATION
+        ) revert InvalidDuration();
+
+        auctionExtensionWindow = _extensionWindow;
+        auctionExtensionDuration = _extensionDuration;
+
+        emit AuctionExtensionUpdated(_extensionWindow, _extensionDuration);
+    }
+
     function _removeAuction(bytes32 auctionId) internal {
         delete idToAuction[auctionId];
+        delete idToReservePrice[auctionId];
+    }
+
+    /**
+     * @dev Hidden reserve price that isn't revealed in time is treated as not met
+     */
+    function _checkReservePrice(Auction memory auction, uint256 highestBid)
+        internal
+        returns (bool isMet)
+    {
+        ReservePrice memory reserve = idToReservePrice[auction.id];
+        if (reserve.hash == bytes32(0)) return true;
+
+        if (reserve.isRevealed) {
+            isMet = highestBid >= reserve.price;
+        } else if (block.timestamp < auction.endingAt + RESERVE_REVEAL_PERIOD) {
+            revert ReservePriceNotRevealed();
+        }
+
+        emit ReservePriceChecked(auction.id, highestBid, isMet);
     }
 
     function _deductFromAuction(Auction memory auction, uint256 amount)
@@ -265,48 +953,105 @@ abstract contract EndemicAuction is
         }
     }
 
-    function _transferNFT(
-        address from,
-        address receiver,
-        address nftContract,
-        uint256 tokenId,
-        uint256 amount,
-        bytes4 assetClass
+    function _purchase(
+        Auction memory auction,
+        uint256 tokenAmount,
+        uint256 currentPrice
     ) internal {
-        if (assetClass == ERC721_ASSET_CLASS) {
-            IERC721(nftContract).transferFrom(from, receiver, tokenId);
-        } else if (assetClass == ERC1155_ASSET_CLASS) {
-            IERC1155(nftContract).safeTransferFrom(
-                from,
-                receiver,
-                tokenId,
-                amount,
-                ""
-            );
+        if (auction.assetClass == ERC721_ASSET_CLASS) {
+            _removeAuction(auction.id);
+        } else if (auction.assetClass == ERC1155_ASSET_CLASS) {
+            _deductFromAuction(auction, tokenAmount);
         } else {
             revert InvalidAssetClass();
         }
+
+        (
+            uint256 makerCut,
+            ,
+            address[] memory royaltiesRecipients,
+            uint256[] memory royaltiesCuts,
+            uint256 totalCut
+        ) = _calculateFees(
+                auction.contractId,
+                auction.tokenId,
+                currentPrice,
+                auction.seller,
+                _msgSender()
+            );
+
+        _transferNFT(
+            auction.seller,
+            _msgSender(),
+            auction.contractId,
+            auction.tokenId,
+            tokenAmount,
+            auction.assetClass
+        );
+
+        _distributeFunds(
+            currentPrice,
+            makerCut,
+            totalCut,
+            royaltiesCuts,
+            royaltiesRecipients,
+            auction.seller,
+            _msgSender(),
+            auction.paymentErc20TokenAddress
+        );
+
+        emit AuctionSuccessful(
+            auction.id,
+            currentPrice,
+            _msgSender(),
+            tokenAmount,
+            totalCut
+        );
     }
 
-    function _validateAuction(Auction memory auction) internal pure {
-        if (auction.duration < MIN_DURATION || MAX_DURATION < auction.duration)
-            revert InvalidDuration();
+    function _adminCancelAuction(Auction memory auction) internal {
+        Bid memory highestBid = idToHighestBid[auction.id];
+        if (highestBid.bidder != ZERO_ADDRESS) {
+            delete idToHighestBid[auction.id];
+            _refundBid(auction, highestBid);
+        }
 
-        if (
-            auction.startingPrice < MIN_PRICE ||
-            auction.endingPrice < MIN_PRICE ||
-            auction.startingPrice < auction.endingPrice
-        ) revert InvalidPriceConfiguration();
+        _removeAuction(auction.id);
+        emit AuctionCancelled(auction.id);
+    }
 
-        if (auction.assetClass == ERC721_ASSET_CLASS) {
-            if (auction.amount != 1) revert InvalidAmount();
-        } else if (auction.assetClass == ERC1155_ASSET_CLASS) {
-            if (auction.amount <= 0) revert InvalidAmount();
+    function _refundBid(Auction memory auction, Bid memory refundedBid)
+        internal
+    {
+        _decreaseEscrowedEther(
+            auction.paymentErc20TokenAddress,
+            refundedBid.priceWithTakerFee
+        );
+
+        if (auction.paymentErc20TokenAddress == ZERO_ADDRESS) {
+            _transferEtherFunds(
+                refundedBid.bidder,
+                refundedBid.priceWithTakerFee
+            );
         } else {
-            revert InvalidAssetClass();
+            _transferErc20Funds(
+                IERC20(auction.paymentErc20TokenAddress),
+                address(this),
+                refundedBid.bidder,
+                refundedBid.priceWithTakerFee
+            );
         }
     }
 
+    function _validateAuction(Auction memory auction) internal pure {
+        _validatePricing(
+            auction.startingPrice,
+            auction.endingPrice,
+            auction.duration
+        );
+        _validateAssetAmount(auction.assetClass, auction.amount);
+    }
+
     function _isActiveAuction(Auction memory auction)
         internal
         pure
@@ -315,43 +1060,66 @@ abstract contract EndemicAuction is
         return auction.startedAt > 0;
     }
 
-    function _calculateCurrentPrice(Auction memory auction)
+    function _isListedTokenAvailable(Auction memory auction)
         internal
         view
-        returns (uint256)
+        returns (bool)
     {
-        uint256 secondsPassed = 0;
+        return
+            _isTokenAvailable(
+                auction.assetClass,
+                auction.contractId,
+                auction.tokenId,
+                auction.amount,
+                auction.seller
+            );
+    }
 
-        if (block.timestamp > auction.startedAt) {
-            secondsPassed = block.timestamp - auction.startedAt;
-        }
+    function _isPurchasable(
+        Auction memory auction,
+        uint256 tokenAmount,
+        address paymentErc20TokenAddress
+    ) internal view returns (bool) {
+        return
+            _isActiveAuction(auction) &&
+            auction.auctionType == AuctionType.DUTCH &&
+            auction.startedAt <= block.timestamp &&
+            auction.seller != _msgSender() &&
+            auction.paymentErc20TokenAddress == paymentErc20TokenAddress &&
+            tokenAmount > 0 &&
+            auction.amount >= tokenAmount &&
+            _isTokenAvailable(
+                auction.assetClass,
+                auction.contractId,
+                auction.tokenId,
+                tokenAmount,
+                auction.seller
+            );
+    }
 
-        // NOTE: We don't use SafeMath (or similar) in this function because
-        //  all of our public functions carefully cap the maximum values for
-        //  time (at 64-bits) and currency (at 128-bits). _duration is
-        //  also known to be non-zero (see the require() statement in
-        //  _addAuction())
-        if (secondsPassed >= auction.duration) {
-            // We've reached the end of the dynamic pricing portion
-            // of the auction, just return the end price.
-            return auction.endingPrice;
-        } else {
-            // Starting price can be higher than ending price (and often is!), so
-            // this delta can be negative.
-            int256 totalPriceChange = int256(auction.endingPrice) -
-                int256(auction.startingPrice);
-
-            // This multiplication can't overflow, _secondsPassed will easily fit within
-            // 64-bits, and totalPriceChange will easily fit within 128-bits, their product
-            // will always fit within 256-bits.
-            int256 currentPriceChange = (totalPriceChange *
-                int256(secondsPassed)) / int256(auction.duration);
-
-            // currentPriceChange can be negative, but if so, will have a magnitude
-            // less that _startingPrice. Thus, this result will always end up positive.
-            return uint256(int256(auction.startingPrice) + currentPriceChange);
-        }
+    function _calculateMinimumBid(Auction memory auction, Bid memory highestBid)
+        internal
+        pure
+        returns (uint256)
+    {
+        if (highestBid.bidder == ZERO_ADDRESS) return auction.startingPrice;
+
+        return
+            highestBid.price +
+            _calculateCut(MIN_BID_INCREMENT, highestBid.price);
     }
 
-    uint256[1000] private __gap;
+    function _calculateCurrentPrice(Auction memory auction)
+        internal
+        view
+        returns (uint256)
+    {
+        return
+            _calculateDutchPrice(
+                auction.startingPrice,
+                auction.endingPrice,
+                auction.duration,
+                auction.startedAt
+            );
+    }
 }
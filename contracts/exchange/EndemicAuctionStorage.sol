@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+
+import "./EndemicExchangeCore.sol";
+
+error InvalidAuction();
+
+abstract contract EndemicAuctionStorage is
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EndemicExchangeCore
+{
+    mapping(bytes32 => Auction) internal idToAuction;
+
+    // Bids placed this close to the end of English auction extend it
+    uint256 public auctionExtensionWindow;
+    // New remaining time of English auction after a bid in extension window
+    uint256 public auctionExtensionDuration;
+
+    mapping(bytes32 => Bid) internal idToHighestBid;
+
+    mapping(bytes32 => ReservePrice) internal idToReservePrice;
+
+    uint256 internal lastBundleAuctionId;
+
+    mapping(uint256 => BundleAuction) internal idToBundleAuction;
+
+    enum AuctionType {
+        DUTCH,
+        ENGLISH
+    }
+
+    struct Auction {
+        bytes32 id;
+        uint256 tokenId;
+        uint256 startingPrice;
+        uint256 endingPrice;
+        uint256 duration;
+        uint256 amount;
+        uint256 startedAt;
+        address contractId;
+        address seller;
+        address paymentErc20TokenAddress;
+        bytes4 assetClass;
+        AuctionType auctionType;
+        uint256 endingAt;
+    }
+
+    struct Bid {
+        address bidder;
+        uint256 price;
+        uint256 priceWithTakerFee;
+    }
+
+    struct BundleItem {
+        address nftContract;
+        uint256 tokenId;
+        uint256 amount;
+        bytes4 assetClass;
+    }
+
+    /// @dev Items are sold together as Dutch auction
+    struct BundleAuction {
+        uint256 id;
+        address seller;
+        address paymentErc20TokenAddress;
+        uint256 startingPrice;
+        uint256 endingPrice;
+        uint256 duration;
+        uint256 startedAt;
+        BundleItem[] items;
+    }
+
+    /// @dev Hash is committed when auction is created, price is known once seller reveals it
+    struct ReservePrice {
+        bytes32 hash;
+        uint256 price;
+        bool isRevealed;
+    }
+
+    uint256[994] private __gap;
+}
@@ -0,0 +1,244 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "./EndemicAuctionStorage.sol";
+
+abstract contract EndemicBundleAuction is EndemicAuctionStorage {
+    uint256 public constant MAX_BUNDLE_ITEMS = 20;
+
+    event BundleAuctionCreated(
+        uint256 indexed id,
+        address indexed seller,
+        uint256 startingPrice,
+        uint256 endingPrice,
+        uint256 duration,
+        address paymentErc20TokenAddress,
+        uint256 itemsCount
+    );
+
+    event BundleAuctionSuccessful(
+        uint256 indexed id,
+        uint256 totalPrice,
+        address winner,
+        uint256 totalFees
+    );
+
+    event BundleAuctionCancelled(uint256 indexed id);
+
+    /**
+     * @notice Lists multiple tokens to be sold together for one price
+     * @dev Price is split equally between items when calculating royalties and fees
+     */
+    function createBundleAuction(
+        BundleItem[] calldata items,
+        uint256 startingPrice,
+        uint256 endingPrice,
+        uint256 duration,
+        address paymentErc20TokenAddress
+    ) external nonReentrant whenNotPaused {
+        if (items.length < 2 || items.length > MAX_BUNDLE_ITEMS)
+            revert InvalidAmount();
+
+        _requireCorrectPaymentMethod(paymentErc20TokenAddress);
+        _validatePricing(startingPrice, endingPrice, duration);
+
+        uint256 id = ++lastBundleAuctionId;
+        BundleAuction storage auction = idToBundleAuction[id];
+
+        for (uint256 i = 0; i < items.length; i++) {
+            _requireCorrectNftInterface(
+                items[i].assetClass,
+                items[i].nftContract
+            );
+            _validateAssetAmount(items[i].assetClass, items[i].amount);
+            _requireTokenOwnership(
+                items[i].assetClass,
+                items[i].nftContract,
+                items[i].tokenId,
+                items[i].amount,
+                _msgSender()
+            );
+
+            auction.items.push(items[i]);
+        }
+
+        auction.id = id;
+        auction.seller = _msgSender();
+        auction.paymentErc20TokenAddress = paymentErc20TokenAddress;
+        auction.startingPrice = startingPrice;
+        auction.endingPrice = endingPrice;
+        auction.duration = duration;
+        auction.startedAt = block.timestamp;
+
+        emit BundleAuctionCreated(
+            id,
+            _msgSender(),
+            startingPrice,
+            endingPrice,
+            duration,
+            paymentErc20TokenAddress,
+            items.length
+        );
+    }
+
+    /**
+     * @notice Buys all tokens of the bundle at current price
+     */
+    function bidForBundle(uint256 id)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        BundleAuction memory auction = idToBundleAuction[id];
+
+        if (auction.seller == ZERO_ADDRESS) revert InvalidAuction();
+        if (auction.seller == _msgSender()) revert Unauthorized();
+
+        uint256 price = _calculateBundlePrice(auction);
+        uint256 requiredValue = price +
+            _calculateBundleTakerCut(auction, price);
+
+        _requireCorrectValueProvided(
+            requiredValue,
+            auction.paymentErc20TokenAddress,
+            _msgSender()
+        );
+
+        delete idToBundleAuction[id];
+
+        uint256 totalCut;
+        for (uint256 i = 0; i < auction.items.length; i++) {
+            totalCut += _purchaseBundleItem(
+                auction,
+                auction.items[i],
+                _getBundleItemPrice(price, auction.items.length, i)
+            );
+        }
+
+        _refundEtherOverpayment(
+            _msgSender(),
+            requiredValue,
+            auction.paymentErc20TokenAddress
+        );
+
+        emit BundleAuctionSuccessful(id, price, _msgSender(), totalCut);
+    }
+
+    function cancelBundleAuction(uint256 id)
+        external
+        nonReentrant
+        whenNotPausedOrEmergency
+    {
+        if (idToBundleAuction[id].seller != _msgSender()) revert Unauthorized();
+
+        delete idToBundleAuction[id];
+
+        emit BundleAuctionCancelled(id);
+    }
+
+    function getBundleAuction(uint256 id)
+        external
+        view
+        returns (BundleAuction memory auction)
+    {
+        auction = idToBundleAuction[id];
+        if (auction.seller == ZERO_ADDRESS) revert InvalidAuction();
+    }
+
+    function getBundleCurrentPrice(uint256 id) external view returns (uint256) {
+        BundleAuction storage auction = idToBundleAuction[id];
+        if (auction.seller == ZERO_ADDRESS) revert InvalidAuction();
+
+        return _calculateBundlePrice(auction);
+    }
+
+    /**
+     * @dev Royalties and fees are calculated for each item with its part of the price
+     */
+    function _purchaseBundleItem(
+        BundleAuction memory auction,
+        BundleItem memory item,
+        uint256 itemPrice
+    ) internal returns (uint256 totalCut) {
+        _transferNFT(
+            auction.seller,
+            _msgSender(),
+            item.nftContract,
+            item.tokenId,
+            item.amount,
+            item.assetClass
+        );
+
+        uint256 makerCut;
+        address[] memory royaltiesRecipients;
+        uint256[] memory royaltiesCuts;
+
+        (
+            makerCut,
+            ,
+            royaltiesRecipients,
+            royaltiesCuts,
+            totalCut
+        ) = _calculateFees(
+            item.nftContract,
+            item.tokenId,
+            itemPrice,
+            auction.seller,
+            _msgSender()
+        );
+
+        _distributeFunds(
+            itemPrice,
+            makerCut,
+            totalCut,
+            royaltiesCuts,
+            royaltiesRecipients,
+            auction.seller,
+            _msgSender(),
+            auction.paymentErc20TokenAddress
+        );
+    }
+
+    function _calculateBundleTakerCut(
+        BundleAuction memory auction,
+        uint256 price
+    ) internal view returns (uint256 takerCut) {
+        for (uint256 i = 0; i < auction.items.length; i++) {
+            takerCut += _calculateTakerCut(
+                auction.items[i].nftContract,
+                auction.seller,
+                _msgSender(),
+                _getBundleItemPrice(price, auction.items.length, i)
+            );
+        }
+    }
+
+    function _calculateBundlePrice(BundleAuction memory auction)
+        internal
+        view
+        returns (uint256)
+    {
+        return
+            _calculateDutchPrice(
+                auction.startingPrice,
+                auction.endingPrice,
+                auction.duration,
+                auction.startedAt
+            );
+    }
+
+    /// @dev Last item gets the remainder of the division
+    function _getBundleItemPrice(
+        uint256 price,
+        uint256 itemsCount,
+        uint256 index
+    ) internal pure returns (uint256) {
+        uint256 itemPrice = price / itemsCount;
+        if (index == itemsCount - 1) {
+            return price - itemPrice * (itemsCount - 1);
+        }
+
+        return itemPrice;
+    }
+}
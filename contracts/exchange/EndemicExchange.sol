@@ -1,11 +1,41 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.15;
 
-import "./EndemicAuction.sol";
-import "./EndemicOffer.sol";
+import "@openzeppelin/contracts-upgradeable/utils/StorageSlotUpgradeable.sol";
+
+import "./EndemicExchangeStorage.sol";
 import "./EndemicPrivateSale.sol";
+import "./EndemicSignedOrder.sol";
+
+error UnknownFunction();
+
+/**
+ * @dev Functions that don't fit into the exchange because of the contract size limit are implemented
+ * by extensions, which the exchange delegates calls of these functions to.
+ * Extensions run in context of the exchange with access to all of its storage and funds,
+ * so they are trusted as much as the exchange implementation and must keep its storage layout
+ */
+contract EndemicExchange is
+    EndemicExchangeStorage,
+    EndemicPrivateSale,
+    EndemicSignedOrder
+{
+    // ERC1967 storage slot with address of the proxy admin
+    bytes32 private constant PROXY_ADMIN_SLOT =
+        0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103;
+
+    event ExtensionUpdated(bytes4 indexed selector, address extension);
+
+    /// @dev Proxy admin can only call the exchange in the same transaction as upgrade
+    modifier onlyOwnerOrProxyAdmin() {
+        if (
+            _msgSender() != owner() &&
+            _msgSender() !=
+            StorageSlotUpgradeable.getAddressSlot(PROXY_ADMIN_SLOT).value
+        ) revert Unauthorized();
+        _;
+    }
 
-contract EndemicExchange is EndemicAuction, EndemicOffer, EndemicPrivateSale {
     /// @param _feeClaimAddress - address to claim fee between 0-10,000.
     /// @param _royaltiesProvider - royalyies provider contract
     function __EndemicExchange_init(
@@ -20,6 +50,8 @@ contract EndemicExchange is EndemicAuction, EndemicOffer, EndemicPrivateSale {
         __EndemicOffer___init_unchained();
         __EndemicPrivateSale___init_unchained();
 
+        _initEscrowedEther(0);
+
         _updateConfiguration(
             _royaltiesProvider,
             _feeClaimAddress,
@@ -28,6 +60,20 @@ contract EndemicExchange is EndemicAuction, EndemicOffer, EndemicPrivateSale {
         );
     }
 
+    /**
+     * @notice Starts escrow accounting on exchange upgraded from version without it
+     * @dev Called by owner after the upgrade while paused, so escrowed ether doesn't change.
+     * Does nothing on exchanges deployed with escrow accounting
+     * @param _totalEscrowedEther - ether held for active offers and highest bids of English auctions
+     */
+    function __EndemicExchange_initEscrowedEther(uint256 _totalEscrowedEther)
+        external
+        onlyOwner
+        reinitializer(2)
+    {
+        _initEscrowedEther(_totalEscrowedEther);
+    }
+
     function updateSupportedErc20Tokens(
         address _erc20TokenAddress,
         bool _isEnabled
@@ -48,4 +94,262 @@ contract EndemicExchange is EndemicAuction, EndemicOffer, EndemicPrivateSale {
             _takerFee
         );
     }
+
+    /// @notice Overrides global fees for sales of `nftContract` tokens
+    function updateCollectionFees(
+        address nftContract,
+        uint256 _makerFee,
+        uint256 _takerFee,
+        bool _isEnabled
+    ) external onlyOwner {
+        _updateCollectionFees(nftContract, _makerFee, _takerFee, _isEnabled);
+    }
+
+    /// @notice Overrides global and collection fees for sales by `seller`
+    function updateSellerFees(
+        address seller,
+        uint256 _makerFee,
+        uint256 _takerFee,
+        bool _isEnabled
+    ) external onlyOwner {
+        _updateSellerFees(seller, _makerFee, _takerFee, _isEnabled);
+    }
+
+    /**
+     * @notice Sets fee discount tiers for accounts staking `token`
+     * @param minBalances - ascending staked amounts needed for each tier
+     * @param discounts - fee discounts for each tier, between 0-5,000
+     */
+    function updateFeeDiscountTiers(
+        address token,
+        uint256[] calldata minBalances,
+        uint256[] calldata discounts
+    ) external onlyOwner {
+        _updateFeeDiscountTiers(token, minBalances, discounts);
+    }
+
+    /**
+     * @notice Stakes fee discount token to reach fee discount tier
+     * @dev Whole stake is locked for `FEE_DISCOUNT_STAKE_LOCK` after each stake
+     */
+    function stakeForFeeDiscount(uint256 amount)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        _stakeForFeeDiscount(_msgSender(), amount);
+    }
+
+    function unstakeFromFeeDiscount(uint256 amount) external nonReentrant {
+        _unstakeFromFeeDiscount(_msgSender(), amount);
+    }
+
+    function getFeeDiscountStake(address account)
+        external
+        view
+        returns (FeeDiscountStake memory)
+    {
+        return feeDiscountStakes[account];
+    }
+
+    /// @notice Returns maker and taker fee used for sale of `nftContract` token by `seller` to `buyer`
+    function getEffectiveFees(
+        address nftContract,
+        address seller,
+        address buyer
+    ) external view returns (uint256, uint256) {
+        return _getDiscountedFees(nftContract, seller, buyer);
+    }
+
+    /// @notice Returns global maker and taker fee discounted for `account`
+    function previewDiscountedFees(address account)
+        external
+        view
+        returns (uint256, uint256)
+    {
+        uint256 discount = _getFeeDiscount(account);
+
+        return (
+            makerFee - _calculateCut(discount, makerFee),
+            takerFee - _calculateCut(discount, takerFee)
+        );
+    }
+
+    /**
+     * @notice Splits proceeds of the first sale of the token by `seller` between `recipients`
+     * @dev Callable by exchange owner or collection owner for their own sales.
+     * Shares are in basis points and must add up to 10,000
+     */
+    function updatePrimarySaleSplits(
+        address nftContract,
+        uint256 tokenId,
+        address seller,
+        address[] calldata recipients,
+        uint256[] calldata shares,
+        bool waiveRoyalties
+    ) external {
+        _requirePrimarySaleSplitsManager(nftContract, seller);
+
+        _updatePrimarySaleSplits(
+            nftContract,
+            tokenId,
+            seller,
+            recipients,
+            shares,
+            waiveRoyalties
+        );
+    }
+
+    /**
+     * @notice Splits proceeds of the first sale of every collection token by `seller`
+     * @dev Token splits take precedence over collection splits
+     */
+    function updateCollectionPrimarySaleSplits(
+        address nftContract,
+        address seller,
+        address[] calldata recipients,
+        uint256[] calldata shares,
+        bool waiveRoyalties
+    ) external {
+        _requirePrimarySaleSplitsManager(nftContract, seller);
+
+        _updateCollectionPrimarySaleSplits(
+            nftContract,
+            seller,
+            recipients,
+            shares,
+            waiveRoyalties
+        );
+    }
+
+    /**
+     * @notice Withdraws ether credited to the caller after a failed transfer
+     */
+    function withdrawPendingFunds()
+        external
+        nonReentrant
+        whenNotPausedOrEmergency
+    {
+        _withdrawPendingFunds(_msgSender());
+    }
+
+    function getPendingWithdrawal(address recipient)
+        external
+        view
+        returns (uint256)
+    {
+        return pendingWithdrawals[recipient];
+    }
+
+    /**
+     * @notice Stops auctions, offers and sales
+     */
+    function pause() external onlyOwner {
+        _updatePaused(true);
+    }
+
+    function unpause() external onlyOwner {
+        _updatePaused(false);
+    }
+
+    /**
+     * @notice Lets sellers cancel auctions and bidders cancel offers and ended auctions
+     * and withdraw funds while paused
+     */
+    function updateEmergencyMode(bool _isEnabled) external onlyOwner {
+        _updateEmergencyMode(_isEnabled);
+    }
+
+    /**
+     * @notice Sends ether that isn't escrowed or owed to anyone to fee claim address
+     */
+    function claimETH() external onlyOwner {
+        _sweepEther(feeClaimAddress, _getStrandedEther());
+    }
+
+    /**
+     * @notice Sends ether stuck in the exchange to `recipient`
+     * @dev Escrowed ether and pending withdrawals can't be swept
+     */
+    function sweepEther(address recipient, uint256 amount) external onlyOwner {
+        _sweepEther(recipient, amount);
+    }
+
+    /**
+     * @notice Routes calls of `selectors[i]` to `_extensions[i]`, zero address removes the routes
+     * @dev Proxy admin routes functions moved to extensions in the upgrade transaction,
+     * so they are never unavailable
+     */
+    function updateExtensions(
+        address[] calldata _extensions,
+        bytes4[][] calldata selectors
+    ) external onlyOwnerOrProxyAdmin {
+        if (_extensions.length != selectors.length)
+            revert ParametersDiffInSize();
+
+        for (uint256 i = 0; i < _extensions.length; i++) {
+            if (
+                _extensions[i] != ZERO_ADDRESS &&
+                !AddressUpgradeable.isContract(_extensions[i])
+            ) revert InvalidAddress();
+
+            for (uint256 j = 0; j < selectors[i].length; j++) {
+                extensions[selectors[i][j]] = _extensions[i];
+
+                emit ExtensionUpdated(selectors[i][j], _extensions[i]);
+            }
+        }
+    }
+
+    function getExtension(bytes4 selector) external view returns (address) {
+        return extensions[selector];
+    }
+
+    /**
+     * @dev Executes function of the extension registered for the selector in context of the exchange,
+     * same as proxy does with the exchange
+     */
+    fallback() external payable {
+        address extension = extensions[msg.sig];
+        if (extension == ZERO_ADDRESS) revert UnknownFunction();
+
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+
+            let result := delegatecall(
+                gas(),
+                extension,
+                0,
+                calldatasize(),
+                0,
+                0
+            )
+
+            returndatacopy(0, 0, returndatasize())
+
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
+    /// @dev Splits redirect proceeds of `seller`, so they can only be set by the seller
+    function _requirePrimarySaleSplitsManager(
+        address nftContract,
+        address seller
+    ) internal view {
+        if (seller != _msgSender()) revert Unauthorized();
+        if (
+            owner() != _msgSender() &&
+            OwnableUpgradeable(nftContract).owner() != _msgSender()
+        ) revert Unauthorized();
+    }
+
+    function _domainSeparator() internal view override returns (bytes32) {
+        return DOMAIN_SEPARATOR;
+    }
 }
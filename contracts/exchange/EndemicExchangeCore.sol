@@ -17,6 +17,15 @@ error SellerNotAssetOwner();
 error InvalidAssetClass();
 error InvalidValueProvided();
 error InvalidPaymentMethod();
+error InvalidAmount();
+error InvalidSignature();
+error ParametersDiffInSize();
+error ExchangePaused();
+error ExchangeNotPaused();
+error StakeLocked();
+error Unauthorized();
+error InvalidDuration();
+error InvalidPriceConfiguration();
 
 abstract contract EndemicExchangeCore {
     bytes4 public constant ERC721_INTERFACE = bytes4(0x80ac58cd);
@@ -33,32 +42,400 @@ abstract contract EndemicExchangeCore {
     uint256 public makerFee;
     uint256 public takerFee;
 
+    /// @dev Extensions implementing functions that are not in the exchange, by selector
+    mapping(bytes4 => address) internal extensions;
+
+    /// @dev Ether owed to recipients that rejected direct transfers
+    mapping(address => uint256) internal pendingWithdrawals;
+    uint256 internal totalPendingWithdrawals;
+
+    mapping(address => mapping(uint256 => PrimarySaleSplit))
+        internal primarySaleSplitsPerToken;
+    mapping(address => PrimarySaleSplit)
+        internal primarySaleSplitsPerCollection;
+
+    mapping(address => mapping(uint256 => bool)) public primarySaleCompleted;
+
+    mapping(address => FeeOverride) internal collectionFeeOverrides;
+    mapping(address => FeeOverride) internal sellerFeeOverrides;
+
+    /// @dev Accounts staking this token in the exchange get fee discount, e.g. END token
+    IERC20 public feeDiscountToken;
+    FeeDiscountTier[] internal feeDiscountTiers;
+
+    bool public paused;
+    bool public emergencyMode;
+    // False on proxies upgraded from version without escrow accounting until it is initialized
+    bool internal isEscrowedEtherTracked;
+
+    /// @dev Ether held for active offers and English auction bids
+    uint256 internal totalEscrowedEther;
+
+    mapping(address => FeeDiscountStake) internal feeDiscountStakes;
+    uint256 internal totalFeeDiscountStake;
+
     uint256 internal constant MAX_FEE = 10000;
     uint256 internal constant MIN_PRICE = 0.0001 ether;
+    uint256 internal constant MIN_DURATION = 1 minutes;
+    uint256 internal constant MAX_DURATION = 1000 days;
     address internal constant ZERO_ADDRESS = address(0);
 
+    // Gas forwarded to recipients of sale proceeds before crediting them instead
+    uint256 internal constant ETHER_TRANSFER_GAS_LIMIT = 30000;
+
+    // Highest fee discount for stakers (5000 = half of the fee)
+    uint256 internal constant MAX_FEE_DISCOUNT = 5000;
+
+    // Staked tokens can't be withdrawn for this long after the last stake
+    uint256 public constant FEE_DISCOUNT_STAKE_LOCK = 7 days;
+
+    /// @dev Recipients divide proceeds of the first sale by `seller`, shares are in basis points
+    struct PrimarySaleSplit {
+        address seller;
+        address[] recipients;
+        uint256[] shares;
+        bool waiveRoyalties;
+    }
+
+    struct FeeOverride {
+        uint256 makerFee;
+        uint256 takerFee;
+        bool isEnabled;
+    }
+
+    /**
+     * @dev Breakdown of a sale at `price`. Buyer pays `buyerTotal`, seller receives `sellerProceeds`.
+     * Royalties include primary sale recipients when it is the first sale of the token
+     */
+    struct FeeQuote {
+        uint256 price;
+        uint256 buyerTotal;
+        uint256 makerCut;
+        uint256 takerCut;
+        address[] royaltiesRecipients;
+        uint256[] royaltiesCuts;
+        uint256 sellerProceeds;
+        bool isPrimarySale;
+    }
+
+    /// @dev Discount is in basis points of the fee
+    struct FeeDiscountTier {
+        uint256 minBalance;
+        uint256 discount;
+    }
+
+    /// @dev Lock prevents using borrowed or shuffled tokens for discount on a single sale
+    struct FeeDiscountStake {
+        uint256 amount;
+        uint256 unlocksAt;
+    }
+
+    event FeeDiscountTiersUpdated(
+        address indexed token,
+        uint256[] minBalances,
+        uint256[] discounts
+    );
+
+    event FeeDiscountStaked(
+        address indexed account,
+        uint256 amount,
+        uint256 unlocksAt
+    );
+
+    event FeeDiscountUnstaked(address indexed account, uint256 amount);
+
+    event CollectionFeesUpdated(
+        address indexed nftContract,
+        uint256 makerFee,
+        uint256 takerFee,
+        bool isEnabled
+    );
+
+    event SellerFeesUpdated(
+        address indexed seller,
+        uint256 makerFee,
+        uint256 takerFee,
+        bool isEnabled
+    );
+
+    event PrimarySaleSplitsUpdated(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address seller,
+        address[] recipients,
+        uint256[] shares,
+        bool waiveRoyalties
+    );
+
+    event CollectionPrimarySaleSplitsUpdated(
+        address indexed nftContract,
+        address seller,
+        address[] recipients,
+        uint256[] shares,
+        bool waiveRoyalties
+    );
+
+    event PrimarySaleCompleted(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address seller
+    );
+
+    event PauseUpdated(bool paused);
+
+    event EmergencyModeUpdated(bool isEnabled);
+
+    event EtherOverpaymentRefunded(address indexed buyer, uint256 amount);
+
+    event EtherSwept(address indexed recipient, uint256 amount);
+
+    event PendingWithdrawalCredited(address indexed recipient, uint256 amount);
+
+    event PendingWithdrawalClaimed(address indexed recipient, uint256 amount);
+
+    modifier whenNotPaused() {
+        if (paused) revert ExchangePaused();
+        _;
+    }
+
+    modifier whenPaused() {
+        if (!paused) revert ExchangeNotPaused();
+        _;
+    }
+
+    /// @dev Sellers and bidders can still withdraw from paused exchange in emergency mode
+    modifier whenNotPausedOrEmergency() {
+        if (paused && !emergencyMode) revert ExchangePaused();
+        _;
+    }
+
+    /**
+     * @dev Applies primary sale split on the first sale of the token by its registered seller.
+     * Primary sale recipients are paid together with royalty recipients
+     */
     function _calculateFees(
         address nftContract,
         uint256 tokenId,
-        uint256 price
+        uint256 price,
+        address seller,
+        address buyer
     )
         internal
-        view
         returns (
             uint256 makerCut,
             uint256 takerCut,
-            address royaltiesRecipient,
-            uint256 royaltieFee,
+            address[] memory royaltiesRecipients,
+            uint256[] memory royaltiesCuts,
             uint256 totalCut
         )
     {
-        takerCut = _calculateCut(takerFee, price);
-        makerCut = _calculateCut(makerFee, price);
+        FeeQuote memory quote = _getFeeQuote(
+            nftContract,
+            tokenId,
+            price,
+            seller,
+            buyer
+        );
 
-        (royaltiesRecipient, royaltieFee) = royaltiesProvider
-            .calculateRoyaltiesAndGetRecipient(nftContract, tokenId, price);
+        if (quote.isPrimarySale) {
+            primarySaleCompleted[nftContract][tokenId] = true;
 
-        totalCut = takerCut + makerCut;
+            emit PrimarySaleCompleted(nftContract, tokenId, seller);
+        }
+
+        return (
+            quote.makerCut,
+            quote.takerCut,
+            quote.royaltiesRecipients,
+            quote.royaltiesCuts,
+            quote.makerCut + quote.takerCut
+        );
+    }
+
+    /**
+     * @dev Read-only part of `_calculateFees`, also used to quote sales to the UI
+     */
+    function _getFeeQuote(
+        address nftContract,
+        uint256 tokenId,
+        uint256 price,
+        address seller,
+        address buyer
+    ) internal view returns (FeeQuote memory quote) {
+        quote.price = price;
+        (quote.makerCut, quote.takerCut) = _calculateMakerAndTakerCuts(
+            nftContract,
+            seller,
+            buyer,
+            price
+        );
+        quote.buyerTotal = price + quote.takerCut;
+
+        PrimarySaleSplit storage primarySaleSplit = _getPrimarySaleSplit(
+            nftContract,
+            tokenId
+        );
+        quote.isPrimarySale =
+            primarySaleSplit.recipients.length > 0 &&
+            primarySaleSplit.seller == seller &&
+            !primarySaleCompleted[nftContract][tokenId];
+
+        if (!quote.isPrimarySale || !primarySaleSplit.waiveRoyalties) {
+            (quote.royaltiesRecipients, quote.royaltiesCuts) = royaltiesProvider
+                .calculateRoyaltiesAndGetRecipients(
+                    nftContract,
+                    tokenId,
+                    price
+                );
+        }
+
+        if (quote.isPrimarySale) {
+            (
+                quote.royaltiesRecipients,
+                quote.royaltiesCuts
+            ) = _addPrimarySaleCuts(
+                primarySaleSplit,
+                quote.royaltiesRecipients,
+                quote.royaltiesCuts,
+                price -
+                    quote.makerCut -
+                    _calculateTotalRoyalties(quote.royaltiesCuts)
+            );
+        }
+
+        quote.sellerProceeds =
+            price -
+            quote.makerCut -
+            _calculateTotalRoyalties(quote.royaltiesCuts);
+    }
+
+    /**
+     * @dev Seller fee override takes precedence over collection fee override,
+     * global fees are used when neither is enabled
+     */
+    function _getEffectiveFees(address nftContract, address seller)
+        internal
+        view
+        returns (uint256, uint256)
+    {
+        FeeOverride memory feeOverride = sellerFeeOverrides[seller];
+
+        if (!feeOverride.isEnabled) {
+            feeOverride = collectionFeeOverrides[nftContract];
+        }
+
+        if (!feeOverride.isEnabled) return (makerFee, takerFee);
+
+        return (feeOverride.makerFee, feeOverride.takerFee);
+    }
+
+    /**
+     * @dev Maker fee is discounted by seller's tier and taker fee by buyer's tier
+     */
+    function _getDiscountedFees(
+        address nftContract,
+        address seller,
+        address buyer
+    ) internal view returns (uint256, uint256) {
+        (uint256 saleMakerFee, uint256 saleTakerFee) = _getEffectiveFees(
+            nftContract,
+            seller
+        );
+
+        return (
+            saleMakerFee - _calculateCut(_getFeeDiscount(seller), saleMakerFee),
+            saleTakerFee - _calculateCut(_getFeeDiscount(buyer), saleTakerFee)
+        );
+    }
+
+    function _getFeeDiscount(address account) internal view returns (uint256) {
+        if (
+            address(feeDiscountToken) == ZERO_ADDRESS || account == ZERO_ADDRESS
+        ) return 0;
+
+        uint256 balance = feeDiscountStakes[account].amount;
+
+        // Tiers are sorted by minimal balance
+        for (uint256 i = feeDiscountTiers.length; i > 0; i--) {
+            if (balance >= feeDiscountTiers[i - 1].minBalance) {
+                return feeDiscountTiers[i - 1].discount;
+            }
+        }
+
+        return 0;
+    }
+
+    function _calculateMakerAndTakerCuts(
+        address nftContract,
+        address seller,
+        address buyer,
+        uint256 price
+    ) internal view returns (uint256 makerCut, uint256 takerCut) {
+        (uint256 saleMakerFee, uint256 saleTakerFee) = _getDiscountedFees(
+            nftContract,
+            seller,
+            buyer
+        );
+
+        makerCut = _calculateCut(saleMakerFee, price);
+        takerCut = _calculateCut(saleTakerFee, price);
+    }
+
+    function _calculateTakerCut(
+        address nftContract,
+        address seller,
+        address buyer,
+        uint256 price
+    ) internal view returns (uint256) {
+        (, uint256 saleTakerFee) = _getDiscountedFees(
+            nftContract,
+            seller,
+            buyer
+        );
+
+        return _calculateCut(saleTakerFee, price);
+    }
+
+    function _getPrimarySaleSplit(address nftContract, uint256 tokenId)
+        internal
+        view
+        returns (PrimarySaleSplit storage split)
+    {
+        split = primarySaleSplitsPerToken[nftContract][tokenId];
+
+        if (split.recipients.length == 0) {
+            split = primarySaleSplitsPerCollection[nftContract];
+        }
+    }
+
+    function _addPrimarySaleCuts(
+        PrimarySaleSplit storage primarySaleSplit,
+        address[] memory royaltiesRecipients,
+        uint256[] memory royaltiesCuts,
+        uint256 sellerProceeds
+    )
+        internal
+        view
+        returns (address[] memory recipients, uint256[] memory cuts)
+    {
+        uint256 royaltiesCount = royaltiesRecipients.length;
+        uint256 splitsCount = primarySaleSplit.recipients.length;
+
+        recipients = new address[](royaltiesCount + splitsCount);
+        cuts = new uint256[](royaltiesCount + splitsCount);
+
+        for (uint256 i = 0; i < royaltiesCount; i++) {
+            recipients[i] = royaltiesRecipients[i];
+            cuts[i] = royaltiesCuts[i];
+        }
+
+        for (uint256 i = 0; i < splitsCount; i++) {
+            recipients[royaltiesCount + i] = primarySaleSplit.recipients[i];
+            cuts[royaltiesCount + i] = _calculateCut(
+                primarySaleSplit.shares[i],
+                sellerProceeds
+            );
+        }
     }
 
     function _calculateCut(uint256 fee, uint256 amount)
@@ -69,32 +446,83 @@ abstract contract EndemicExchangeCore {
         return (amount * fee) / MAX_FEE;
     }
 
+    function _calculateDutchPrice(
+        uint256 startingPrice,
+        uint256 endingPrice,
+        uint256 duration,
+        uint256 startedAt
+    ) internal view returns (uint256) {
+        uint256 secondsPassed = 0;
+
+        if (block.timestamp > startedAt) {
+            secondsPassed = block.timestamp - startedAt;
+        }
+
+        // NOTE: We don't use SafeMath (or similar) in this function because
+        //  all of our public functions carefully cap the maximum values for
+        //  time (at 64-bits) and currency (at 128-bits). _duration is
+        //  also known to be non-zero (see the require() statement in
+        //  _addAuction())
+        if (secondsPassed >= duration) {
+            // We've reached the end of the dynamic pricing portion
+            // of the auction, just return the end price.
+            return endingPrice;
+        } else {
+            // Starting price can be higher than ending price (and often is!), so
+            // this delta can be negative.
+            int256 totalPriceChange = int256(endingPrice) -
+                int256(startingPrice);
+
+            // This multiplication can't overflow, _secondsPassed will easily fit within
+            // 64-bits, and totalPriceChange will easily fit within 128-bits, their product
+            // will always fit within 256-bits.
+            int256 currentPriceChange = (totalPriceChange *
+                int256(secondsPassed)) / int256(duration);
+
+            // currentPriceChange can be negative, but if so, will have a magnitude
+            // less that _startingPrice. Thus, this result will always end up positive.
+            return uint256(int256(startingPrice) + currentPriceChange);
+        }
+    }
+
+    function _calculateTotalRoyalties(uint256[] memory royaltiesCuts)
+        internal
+        pure
+        returns (uint256 totalRoyalties)
+    {
+        for (uint256 i = 0; i < royaltiesCuts.length; i++) {
+            totalRoyalties += royaltiesCuts[i];
+        }
+    }
+
     function _distributeFunds(
         uint256 price,
         uint256 makerCut,
         uint256 totalCut,
-        uint256 royaltieFee,
-        address royaltiesRecipient,
+        uint256[] memory royaltiesCuts,
+        address[] memory royaltiesRecipients,
         address seller,
         address buyer,
         address paymentErc20TokenAddress
     ) internal {
-        uint256 sellerProceeds = price - makerCut - royaltieFee;
+        uint256 sellerProceeds = price -
+            makerCut -
+            _calculateTotalRoyalties(royaltiesCuts);
 
         if (paymentErc20TokenAddress == ZERO_ADDRESS) {
             _distributeEtherFunds(
-                royaltieFee,
+                royaltiesCuts,
                 totalCut,
                 sellerProceeds,
-                royaltiesRecipient,
+                royaltiesRecipients,
                 seller
             );
         } else {
             _distributeErc20Funds(
-                royaltieFee,
+                royaltiesCuts,
                 totalCut,
                 sellerProceeds,
-                royaltiesRecipient,
+                royaltiesRecipients,
                 seller,
                 buyer,
                 paymentErc20TokenAddress
@@ -103,14 +531,19 @@ abstract contract EndemicExchangeCore {
     }
 
     function _distributeEtherFunds(
-        uint256 royaltieFee,
+        uint256[] memory royaltiesCuts,
         uint256 totalCut,
         uint256 sellerProceeds,
-        address royaltiesRecipient,
+        address[] memory royaltiesRecipients,
         address seller
     ) internal {
-        if (royaltieFee > 0) {
-            _transferEtherRoyalties(royaltiesRecipient, royaltieFee);
+        for (uint256 i = 0; i < royaltiesRecipients.length; i++) {
+            if (royaltiesCuts[i] > 0) {
+                _transferEtherRoyalties(
+                    royaltiesRecipients[i],
+                    royaltiesCuts[i]
+                );
+            }
         }
 
         if (totalCut > 0) {
@@ -121,23 +554,25 @@ abstract contract EndemicExchangeCore {
     }
 
     function _distributeErc20Funds(
-        uint256 royaltieFee,
+        uint256[] memory royaltiesCuts,
         uint256 totalCut,
         uint256 sellerProceeds,
-        address royaltiesRecipient,
+        address[] memory royaltiesRecipients,
         address seller,
         address buyer,
         address paymentErc20TokenAddress
     ) internal {
         IERC20 ERC20PaymentToken = IERC20(paymentErc20TokenAddress);
 
-        if (royaltieFee > 0) {
-            _transferErc20Royalties(
-                ERC20PaymentToken,
-                buyer,
-                royaltiesRecipient,
-                royaltieFee
-            );
+        for (uint256 i = 0; i < royaltiesRecipients.length; i++) {
+            if (royaltiesCuts[i] > 0) {
+                _transferErc20Royalties(
+                    ERC20PaymentToken,
+                    buyer,
+                    royaltiesRecipients[i],
+                    royaltiesCuts[i]
+                );
+            }
         }
 
         if (totalCut > 0) {
@@ -158,7 +593,8 @@ abstract contract EndemicExchangeCore {
         address sender,
         uint256 value
     ) internal {
-        bool success = ERC20PaymentToken.transferFrom(
+        bool success = _transferErc20(
+            ERC20PaymentToken,
             sender,
             feeClaimAddress,
             value
@@ -171,11 +607,7 @@ abstract contract EndemicExchangeCore {
         address royaltiesRecipient,
         uint256 royaltiesCut
     ) internal {
-        (bool success, ) = payable(royaltiesRecipient).call{
-            value: royaltiesCut
-        }("");
-
-        if (!success) revert RoyaltiesTransferFailed();
+        _transferEtherOrCredit(royaltiesRecipient, royaltiesCut);
     }
 
     function _transferErc20Royalties(
@@ -184,7 +616,8 @@ abstract contract EndemicExchangeCore {
         address royaltiesRecipient,
         uint256 royaltiesCut
     ) internal {
-        bool success = ERC20PaymentToken.transferFrom(
+        bool success = _transferErc20(
+            ERC20PaymentToken,
             royaltiesSender,
             royaltiesRecipient,
             royaltiesCut
@@ -194,9 +627,39 @@ abstract contract EndemicExchangeCore {
     }
 
     function _transferEtherFunds(address recipient, uint256 value) internal {
-        (bool success, ) = payable(recipient).call{value: value}("");
+        _transferEtherOrCredit(recipient, value);
+    }
+
+    /**
+     * @dev Recipients that reject ether or use more than `ETHER_TRANSFER_GAS_LIMIT`
+     * are credited instead of reverting the sale.
+     * They can claim credited funds with `_withdrawPendingFunds`
+     */
+    function _transferEtherOrCredit(address recipient, uint256 value) internal {
+        (bool success, ) = payable(recipient).call{
+            value: value,
+            gas: ETHER_TRANSFER_GAS_LIMIT
+        }("");
+
+        if (!success) {
+            pendingWithdrawals[recipient] += value;
+            totalPendingWithdrawals += value;
+
+            emit PendingWithdrawalCredited(recipient, value);
+        }
+    }
+
+    function _withdrawPendingFunds(address recipient) internal {
+        uint256 amount = pendingWithdrawals[recipient];
+        if (amount == 0) revert InvalidAmount();
+
+        pendingWithdrawals[recipient] = 0;
+        totalPendingWithdrawals -= amount;
 
+        (bool success, ) = payable(recipient).call{value: amount}("");
         if (!success) revert FundsTransferFailed();
+
+        emit PendingWithdrawalClaimed(recipient, amount);
     }
 
     function _transferErc20Funds(
@@ -205,11 +668,85 @@ abstract contract EndemicExchangeCore {
         address recipient,
         uint256 value
     ) internal {
-        bool success = ERC20PaymentToken.transferFrom(sender, recipient, value);
+        bool success = _transferErc20(
+            ERC20PaymentToken,
+            sender,
+            recipient,
+            value
+        );
 
         if (!success) revert FundsTransferFailed();
     }
 
+    /**
+     * @dev Funds escrowed by the exchange are sent directly,
+     * everything else is pulled from the sender's allowance
+     */
+    function _transferErc20(
+        IERC20 ERC20PaymentToken,
+        address sender,
+        address recipient,
+        uint256 value
+    ) internal returns (bool) {
+        if (sender == address(this)) {
+            return ERC20PaymentToken.transfer(recipient, value);
+        }
+
+        return ERC20PaymentToken.transferFrom(sender, recipient, value);
+    }
+
+    function _transferNFT(
+        address from,
+        address receiver,
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        bytes4 assetClass
+    ) internal {
+        if (assetClass == ERC721_ASSET_CLASS) {
+            IERC721(nftContract).transferFrom(from, receiver, tokenId);
+        } else if (assetClass == ERC1155_ASSET_CLASS) {
+            IERC1155(nftContract).safeTransferFrom(
+                from,
+                receiver,
+                tokenId,
+                amount,
+                ""
+            );
+        } else {
+            revert InvalidAssetClass();
+        }
+    }
+
+    /// @dev Shared by auctions and bundle auctions
+    function _validatePricing(
+        uint256 startingPrice,
+        uint256 endingPrice,
+        uint256 duration
+    ) internal pure {
+        if (duration < MIN_DURATION || MAX_DURATION < duration)
+            revert InvalidDuration();
+
+        if (
+            startingPrice < MIN_PRICE ||
+            endingPrice < MIN_PRICE ||
+            startingPrice < endingPrice
+        ) revert InvalidPriceConfiguration();
+    }
+
+    function _validateAssetAmount(bytes4 assetClass, uint256 amount)
+        internal
+        pure
+    {
+        if (assetClass == ERC721_ASSET_CLASS) {
+            if (amount != 1) revert InvalidAmount();
+        } else if (assetClass == ERC1155_ASSET_CLASS) {
+            if (amount <= 0) revert InvalidAmount();
+        } else {
+            revert InvalidAssetClass();
+        }
+    }
+
     function _requireCorrectNftInterface(
         bytes4 _assetClass,
         address _nftContract
@@ -243,6 +780,36 @@ abstract contract EndemicExchangeCore {
         }
     }
 
+    function _isTokenAvailable(
+        bytes4 assetClass,
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        address seller
+    ) internal view returns (bool) {
+        if (assetClass == ERC721_ASSET_CLASS) {
+            IERC721 nft = IERC721(nftContract);
+
+            try nft.ownerOf(tokenId) returns (address tokenOwner) {
+                if (tokenOwner != seller) return false;
+            } catch {
+                return false;
+            }
+
+            return
+                nft.getApproved(tokenId) == address(this) ||
+                nft.isApprovedForAll(seller, address(this));
+        } else if (assetClass == ERC1155_ASSET_CLASS) {
+            IERC1155 nft = IERC1155(nftContract);
+
+            return
+                nft.balanceOf(seller, tokenId) >= amount &&
+                nft.isApprovedForAll(seller, address(this));
+        }
+
+        return false;
+    }
+
     function _requireCorrectPaymentMethod(address paymentErc20TokenAddress)
         internal
         view
@@ -279,6 +846,28 @@ abstract contract EndemicExchangeCore {
         }
     }
 
+    /**
+     * @dev Returns ether sent above the required value back to the buyer.
+     * Ether sent with ERC20 payments is refunded in full
+     */
+    function _refundEtherOverpayment(
+        address buyer,
+        uint256 requiredValue,
+        address paymentErc20TokenAddress
+    ) internal {
+        uint256 requiredEther = paymentErc20TokenAddress == ZERO_ADDRESS
+            ? requiredValue
+            : 0;
+
+        if (msg.value <= requiredEther) return;
+
+        uint256 refund = msg.value - requiredEther;
+
+        _transferEtherFunds(buyer, refund);
+
+        emit EtherOverpaymentRefunded(buyer, refund);
+    }
+
     function _requireCorrectErc20ValueProvided(
         uint256 requiredValue,
         address paymentErc20TokenAddress,
@@ -307,6 +896,256 @@ abstract contract EndemicExchangeCore {
         supportedErc20Addresses[_erc20TokenAddress] = _isEnabled;
     }
 
+    function _increaseEscrowedEther(
+        address paymentErc20TokenAddress,
+        uint256 amount
+    ) internal {
+        if (paymentErc20TokenAddress != ZERO_ADDRESS || !isEscrowedEtherTracked)
+            return;
+
+        totalEscrowedEther += amount;
+    }
+
+    /// @dev Ether escrowed before escrow accounting was initialized is included in the initial sum
+    function _decreaseEscrowedEther(
+        address paymentErc20TokenAddress,
+        uint256 amount
+    ) internal {
+        if (paymentErc20TokenAddress != ZERO_ADDRESS || !isEscrowedEtherTracked)
+            return;
+
+        totalEscrowedEther -= amount;
+    }
+
+    /**
+     * @dev Ether held before escrow accounting was introduced is escrowed for active offers
+     * and highest bids of English auctions, or stranded
+     */
+    function _initEscrowedEther(uint256 escrowedEther) internal {
+        if (isEscrowedEtherTracked) return;
+        if (escrowedEther > address(this).balance) revert InvalidAmount();
+
+        isEscrowedEtherTracked = true;
+        totalEscrowedEther = escrowedEther;
+    }
+
+    /// @dev Ether that isn't escrowed or owed to anyone
+    function _getStrandedEther() internal view returns (uint256) {
+        if (!isEscrowedEtherTracked) return 0;
+
+        uint256 owedEther = totalPendingWithdrawals + totalEscrowedEther;
+
+        if (address(this).balance <= owedEther) return 0;
+
+        return address(this).balance - owedEther;
+    }
+
+    function _sweepEther(address recipient, uint256 amount) internal {
+        if (recipient == ZERO_ADDRESS) revert InvalidAddress();
+        if (amount > _getStrandedEther()) revert InvalidAmount();
+
+        (bool success, ) = payable(recipient).call{value: amount}("");
+        if (!success) revert FundsTransferFailed();
+
+        emit EtherSwept(recipient, amount);
+    }
+
+    function _updateFeeDiscountTiers(
+        address token,
+        uint256[] calldata minBalances,
+        uint256[] calldata discounts
+    ) internal {
+        if (minBalances.length != discounts.length)
+            revert ParametersDiffInSize();
+        if (token == ZERO_ADDRESS && minBalances.length > 0)
+            revert InvalidAddress();
+        // Stakes are always withdrawn in the current token
+        if (token != address(feeDiscountToken) && totalFeeDiscountStake > 0)
+            revert InvalidAddress();
+
+        delete feeDiscountTiers;
+
+        for (uint256 i = 0; i < minBalances.length; i++) {
+            if (discounts[i] > MAX_FEE_DISCOUNT) revert InvalidFees();
+            if (i > 0 && minBalances[i] <= minBalances[i - 1])
+                revert InvalidAmount();
+
+            feeDiscountTiers.push(
+                FeeDiscountTier(minBalances[i], discounts[i])
+            );
+        }
+
+        feeDiscountToken = IERC20(token);
+
+        emit FeeDiscountTiersUpdated(token, minBalances, discounts);
+    }
+
+    function _stakeForFeeDiscount(address account, uint256 amount) internal {
+        if (address(feeDiscountToken) == ZERO_ADDRESS) revert InvalidAddress();
+        if (amount == 0) revert InvalidAmount();
+
+        FeeDiscountStake storage stake = feeDiscountStakes[account];
+        stake.amount += amount;
+        stake.unlocksAt = block.timestamp + FEE_DISCOUNT_STAKE_LOCK;
+        totalFeeDiscountStake += amount;
+
+        _transferErc20Funds(feeDiscountToken, account, address(this), amount);
+
+        emit FeeDiscountStaked(account, amount, stake.unlocksAt);
+    }
+
+    function _unstakeFromFeeDiscount(address account, uint256 amount) internal {
+        FeeDiscountStake storage stake = feeDiscountStakes[account];
+        if (amount == 0 || amount > stake.amount) revert InvalidAmount();
+        if (stake.unlocksAt > block.timestamp) revert StakeLocked();
+
+        stake.amount -= amount;
+        totalFeeDiscountStake -= amount;
+
+        _transferErc20Funds(feeDiscountToken, address(this), account, amount);
+
+        emit FeeDiscountUnstaked(account, amount);
+    }
+
+    function _updateCollectionFees(
+        address nftContract,
+        uint256 _makerFee,
+        uint256 _takerFee,
+        bool _isEnabled
+    ) internal {
+        if (nftContract == ZERO_ADDRESS) revert InvalidAddress();
+        if (_makerFee >= MAX_FEE || _takerFee >= MAX_FEE) revert InvalidFees();
+
+        collectionFeeOverrides[nftContract] = FeeOverride(
+            _makerFee,
+            _takerFee,
+            _isEnabled
+        );
+
+        emit CollectionFeesUpdated(
+            nftContract,
+            _makerFee,
+            _takerFee,
+            _isEnabled
+        );
+    }
+
+    function _updateSellerFees(
+        address seller,
+        uint256 _makerFee,
+        uint256 _takerFee,
+        bool _isEnabled
+    ) internal {
+        if (seller == ZERO_ADDRESS) revert InvalidAddress();
+        if (_makerFee >= MAX_FEE || _takerFee >= MAX_FEE) revert InvalidFees();
+
+        sellerFeeOverrides[seller] = FeeOverride(
+            _makerFee,
+            _takerFee,
+            _isEnabled
+        );
+
+        emit SellerFeesUpdated(seller, _makerFee, _takerFee, _isEnabled);
+    }
+
+    function _updatePrimarySaleSplits(
+        address nftContract,
+        uint256 tokenId,
+        address seller,
+        address[] calldata recipients,
+        uint256[] calldata shares,
+        bool waiveRoyalties
+    ) internal {
+        _storePrimarySaleSplit(
+            primarySaleSplitsPerToken[nftContract][tokenId],
+            seller,
+            recipients,
+            shares,
+            waiveRoyalties
+        );
+
+        emit PrimarySaleSplitsUpdated(
+            nftContract,
+            tokenId,
+            seller,
+            recipients,
+            shares,
+            waiveRoyalties
+        );
+    }
+
+    function _updateCollectionPrimarySaleSplits(
+        address nftContract,
+        address seller,
+        address[] calldata recipients,
+        uint256[] calldata shares,
+        bool waiveRoyalties
+    ) internal {
+        _storePrimarySaleSplit(
+            primarySaleSplitsPerCollection[nftContract],
+            seller,
+            recipients,
+            shares,
+            waiveRoyalties
+        );
+
+        emit CollectionPrimarySaleSplitsUpdated(
+            nftContract,
+            seller,
+            recipients,
+            shares,
+            waiveRoyalties
+        );
+    }
+
+    /// @dev Empty recipients remove the split
+    function _storePrimarySaleSplit(
+        PrimarySaleSplit storage split,
+        address seller,
+        address[] calldata recipients,
+        uint256[] calldata shares,
+        bool waiveRoyalties
+    ) internal {
+        if (recipients.length != shares.length) revert ParametersDiffInSize();
+
+        uint256 totalShares;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (recipients[i] == ZERO_ADDRESS) revert InvalidAddress();
+            totalShares += shares[i];
+        }
+
+        if (recipients.length > 0) {
+            if (seller == ZERO_ADDRESS) revert InvalidAddress();
+            if (totalShares != MAX_FEE) revert InvalidFees();
+        }
+
+        split.seller = seller;
+        split.recipients = recipients;
+        split.shares = shares;
+        split.waiveRoyalties = waiveRoyalties;
+    }
+
+    /// @dev Unpausing also ends emergency mode
+    function _updatePaused(bool _paused) internal {
+        paused = _paused;
+
+        if (!_paused && emergencyMode) {
+            emergencyMode = false;
+
+            emit EmergencyModeUpdated(false);
+        }
+
+        emit PauseUpdated(_paused);
+    }
+
+    function _updateEmergencyMode(bool _isEnabled) internal {
+        if (_isEnabled && !paused) revert ExchangeNotPaused();
+
+        emergencyMode = _isEnabled;
+
+        emit EmergencyModeUpdated(_isEnabled);
+    }
+
     function _updateConfiguration(
         address _royaltiesProvider,
         address _feeClaimAddress,
@@ -329,5 +1168,5 @@ abstract contract EndemicExchangeCore {
         takerFee = _takerFee;
     }
 
-    uint256[1000] private __gap;
+    uint256[986] private __gap;
 }
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "./EndemicAuctionStorage.sol";
+import "./EndemicOfferStorage.sol";
+import "./EndemicPrivateSaleStorage.sol";
+import "./EndemicSignedOrderStorage.sol";
+import "./EndemicSwapStorage.sol";
+
+/**
+ * @dev Exchange and its extensions inherit this contract first,
+ * so storage of all modules has the same layout in each of them
+ */
+abstract contract EndemicExchangeStorage is
+    EndemicAuctionStorage,
+    EndemicOfferStorage,
+    EndemicPrivateSaleStorage,
+    EndemicSignedOrderStorage,
+    EndemicSwapStorage
+{
+
+}
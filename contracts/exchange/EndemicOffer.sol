@@ -1,178 +1,951 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.15;
 
-import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/MerkleProofUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 
-import "./EndemicExchangeCore.sol";
+import "./EndemicOfferStorage.sol";
 
 error InvalidTokenOwner();
 error DurationTooShort();
 error OfferExists();
 error InvalidOffer();
 error NotExpiredOffer();
-error RefundFailed();
 error AcceptFromSelf();
-error ParametersDiffInSize();
+error InvalidCounterOffer();
+error InvalidProof();
 
-abstract contract EndemicOffer is
-    OwnableUpgradeable,
-    ReentrancyGuardUpgradeable,
-    EndemicExchangeCore
-{
+abstract contract EndemicOffer is EndemicOfferStorage {
     using AddressUpgradeable for address;
 
     uint256 public constant MIN_OFFER_DURATION = 1 hours;
 
-    uint256 private nextOfferId;
+    // Highest reward for refunding expired offers (100 = 1%)
+    uint256 public constant MAX_EXPIRED_OFFER_REFUND_REWARD = 100;
 
-    mapping(uint256 => Offer) private offersById;
+    event OfferCreated(
+        uint256 id,
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed bidder,
+        uint256 price,
+        uint256 expiresAt,
+        address paymentErc20TokenAddress
+    );
+
+    event OfferAccepted(
+        uint256 id,
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address bidder,
+        address indexed seller,
+        uint256 price,
+        uint256 totalFees
+    );
+
+    /// @dev Emitted after OfferCreated when offer is for ERC1155 copies
+    event Erc1155OfferCreated(uint256 indexed id, uint256 amount);
+
+    /// @dev Emitted after OfferAccepted when ERC1155 copies are sold
+    event Erc1155OfferAccepted(uint256 indexed id, uint256 amount);
+
+    event OfferUpdated(
+        uint256 id,
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed bidder,
+        uint256 price,
+        uint256 expiresAt
+    );
+
+    event OfferCancelled(
+        uint256 id,
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed bidder
+    );
+
+    event CollectionOfferCreated(
+        uint256 id,
+        address indexed nftContract,
+        address indexed bidder,
+        uint256 price,
+        uint256 quantity,
+        uint256 expiresAt,
+        address paymentErc20TokenAddress
+    );
+
+    event TraitOfferCreated(
+        uint256 id,
+        address indexed nftContract,
+        bytes32 merkleRoot
+    );
+
+    event CollectionOfferAccepted(
+        uint256 id,
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address bidder,
+        address indexed seller,
+        uint256 price,
+        uint256 totalFees
+    );
+
+    event CollectionOfferCancelled(
+        uint256 id,
+        address indexed nftContract,
+        address indexed bidder
+    );
+
+    event CounterOfferCreated(
+        uint256 indexed offerId,
+        address nftContract,
+        uint256 tokenId,
+        address indexed bidder,
+        address indexed seller,
+        uint256 price,
+        uint256 expiresAt
+    );
+
+    event CounterOfferAccepted(
+        uint256 indexed offerId,
+        address indexed bidder,
+        address indexed seller,
+        uint256 price
+    );
+
+    event CounterOfferCancelled(
+        uint256 indexed offerId,
+        address indexed seller
+    );
+
+    event ExpiredOfferRefundRewardUpdated(uint256 reward);
+
+    function placeOffer(
+        address nftContract,
+        uint256 tokenId,
+        uint256 duration
+    ) external payable nonReentrant whenNotPaused {
+        _requireCorrectEtherValueProvided(MIN_PRICE);
+
+        uint256 price = _removeTakerFee(nftContract, msg.value);
+
+        _placeOffer(
+            nftContract,
+            address(0),
+            tokenId,
+            1,
+            ERC721_ASSET_CLASS,
+            duration,
+            price,
+            msg.value
+        );
+    }
+
+    function placeOfferInErc20(
+        address nftContract,
+        address paymentErc20TokenAddress,
+        uint256 offerInErc20,
+        uint256 tokenId,
+        uint256 duration
+    ) external nonReentrant whenNotPaused {
+        if (!supportedErc20Addresses[paymentErc20TokenAddress]) {
+            revert InvalidPaymentMethod();
+        }
+
+        _requireCorrectErc20ValueProvided(
+            offerInErc20,
+            paymentErc20TokenAddress,
+            _msgSender()
+        );
+
+        uint256 price = _removeTakerFee(nftContract, offerInErc20);
+
+        _placeOffer(
+            nftContract,
+            paymentErc20TokenAddress,
+            tokenId,
+            1,
+            ERC721_ASSET_CLASS,
+            duration,
+            price,
+            offerInErc20
+        );
+    }
+
+    /**
+     * @notice Places offer for `amount` copies of ERC1155 token
+     * @dev Sent value is the price for all copies including taker fee
+     */
+    function placeErc1155Offer(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 duration
+    ) external payable nonReentrant whenNotPaused {
+        _requireCorrectEtherValueProvided(MIN_PRICE);
+
+        uint256 price = _removeTakerFee(nftContract, msg.value);
+
+        _placeOffer(
+            nftContract,
+            address(0),
+            tokenId,
+            amount,
+            ERC1155_ASSET_CLASS,
+            duration,
+            price,
+            msg.value
+        );
+    }
+
+    function placeErc1155OfferInErc20(
+        address nftContract,
+        address paymentErc20TokenAddress,
+        uint256 offerInErc20,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 duration
+    ) external nonReentrant whenNotPaused {
+        if (!supportedErc20Addresses[paymentErc20TokenAddress]) {
+            revert InvalidPaymentMethod();
+        }
+
+        _requireCorrectErc20ValueProvided(
+            offerInErc20,
+            paymentErc20TokenAddress,
+            _msgSender()
+        );
+
+        uint256 price = _removeTakerFee(nftContract, offerInErc20);
+
+        _placeOffer(
+            nftContract,
+            paymentErc20TokenAddress,
+            tokenId,
+            amount,
+            ERC1155_ASSET_CLASS,
+            duration,
+            price,
+            offerInErc20
+        );
+    }
+
+    /**
+     * @notice Places offer for any `quantity` tokens of the collection
+     * @dev Sent value is escrowed and split equally between wanted tokens
+     */
+    function placeCollectionOffer(
+        address nftContract,
+        uint256 quantity,
+        uint256 duration
+    ) external payable nonReentrant whenNotPaused {
+        _placeCollectionOfferInEther(
+            nftContract,
+            bytes32(0),
+            quantity,
+            duration
+        );
+    }
+
+    function placeCollectionOfferInErc20(
+        address nftContract,
+        address paymentErc20TokenAddress,
+        uint256 offerInErc20,
+        uint256 quantity,
+        uint256 duration
+    ) external nonReentrant whenNotPaused {
+        _placeCollectionOfferInErc20(
+            nftContract,
+            paymentErc20TokenAddress,
+            offerInErc20,
+            bytes32(0),
+            quantity,
+            duration
+        );
+    }
+
+    /**
+     * @notice Places offer for any `quantity` tokens of the collection with ids in the merkle tree
+     * @dev Leaves are keccak256 hashes of packed token ids, see `test/helpers/merkle.js`
+     */
+    function placeTraitOffer(
+        address nftContract,
+        bytes32 merkleRoot,
+        uint256 quantity,
+        uint256 duration
+    ) external payable nonReentrant whenNotPaused {
+        if (merkleRoot == bytes32(0)) revert InvalidOffer();
+
+        _placeCollectionOfferInEther(
+            nftContract,
+            merkleRoot,
+            quantity,
+            duration
+        );
+    }
+
+    function placeTraitOfferInErc20(
+        address nftContract,
+        address paymentErc20TokenAddress,
+        uint256 offerInErc20,
+        bytes32 merkleRoot,
+        uint256 quantity,
+        uint256 duration
+    ) external nonReentrant whenNotPaused {
+        if (merkleRoot == bytes32(0)) revert InvalidOffer();
+
+        _placeCollectionOfferInErc20(
+            nftContract,
+            paymentErc20TokenAddress,
+            offerInErc20,
+            merkleRoot,
+            quantity,
+            duration
+        );
+    }
+
+    function cancelOffer(uint256 offerId)
+        external
+        nonReentrant
+        whenNotPausedOrEmergency
+    {
+        Offer memory offer = offersById[offerId];
+        if (offer.bidder != _msgSender()) revert InvalidOffer();
+
+        _cancelOffer(offer);
+    }
+
+    /**
+     * @notice Changes price and expiry of the offer, keeping its id
+     * @dev Escrow is topped up with sent ether and anything above new price is refunded.
+     * Zero `duration` keeps current expiry
+     */
+    function updateOffer(
+        uint256 offerId,
+        uint256 priceWithTakerFee,
+        uint256 duration
+    ) external payable nonReentrant whenNotPaused {
+        Offer memory offer = offersById[offerId];
+        if (offer.id != offerId || offer.bidder != _msgSender())
+            revert InvalidOffer();
+        if (priceWithTakerFee < MIN_PRICE) revert InvalidValueProvided();
+
+        if (duration > 0) {
+            if (duration < MIN_OFFER_DURATION) revert DurationTooShort();
+            offer.expiresAt = block.timestamp + duration;
+        } else if (offer.expiresAt < block.timestamp) {
+            revert InvalidOffer();
+        }
+
+        uint256 escrowedValue = offer.priceWithTakerFee;
+
+        offer.price = _removeTakerFee(offer.nftContract, priceWithTakerFee);
+        offer.priceWithTakerFee = priceWithTakerFee;
+
+        Offer storage storedOffer = offersById[offerId];
+        storedOffer.price = offer.price;
+        storedOffer.priceWithTakerFee = offer.priceWithTakerFee;
+        storedOffer.expiresAt = offer.expiresAt;
+
+        // Counter-offer was made for previous terms
+        delete counterOffersByOfferId[offerId];
+
+        _topUpOfferEscrow(offer, escrowedValue);
+
+        emit OfferUpdated(
+            offerId,
+            offer.nftContract,
+            offer.tokenId,
+            offer.bidder,
+            offer.price,
+            offer.expiresAt
+        );
+    }
+
+    function acceptOffer(uint256 offerId) external nonReentrant whenNotPaused {
+        Offer memory offer = _getOfferForAcceptance(offerId);
+
+        _acceptOffer(offer, offer.amount, _msgSender());
+    }
+
+    /**
+     * @notice Sells `amount` copies of ERC1155 token, the rest of the offer stays active
+     */
+    function acceptOfferPartially(uint256 offerId, uint256 amount)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        Offer memory offer = _getOfferForAcceptance(offerId);
+
+        _acceptOffer(offer, amount, _msgSender());
+    }
+
+    /**
+     * @notice Proposes higher price for the whole remaining amount of the offer
+     * @dev Callable by token owner, replaces previous counter-offer.
+     * Counter-offer is dropped when the offer is updated or cancelled
+     */
+    function counterOffer(
+        uint256 offerId,
+        uint256 price,
+        uint256 duration
+    ) external nonReentrant whenNotPaused {
+        Offer memory offer = _getOfferForAcceptance(offerId);
+
+        if (price <= offer.price) revert InvalidCounterOffer();
+        if (duration < MIN_OFFER_DURATION) revert DurationTooShort();
+
+        _requireTokenOwnership(
+            offer.assetClass,
+            offer.nftContract,
+            offer.tokenId,
+            offer.amount,
+            _msgSender()
+        );
+
+        uint256 expiresAt = block.timestamp + duration;
+
+        counterOffersByOfferId[offerId] = CounterOffer({
+            seller: _msgSender(),
+            price: price,
+            amount: offer.amount,
+            expiresAt: expiresAt
+        });
+
+        emit CounterOfferCreated(
+            offerId,
+            offer.nftContract,
+            offer.tokenId,
+            offer.bidder,
+            _msgSender(),
+            price,
+            expiresAt
+        );
+    }
+
+    /**
+     * @notice Buys tokens at counter-offer price
+     * @dev Sent ether tops up the escrow, ERC20 allowance must cover the whole price with taker fee
+     */
+    function acceptCounterOffer(uint256 offerId)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        Offer memory offer = _getActiveOffer(offerId);
+        if (offer.bidder != _msgSender()) revert InvalidOffer();
+
+        CounterOffer memory counter = counterOffersByOfferId[offerId];
+        if (
+            counter.seller == ZERO_ADDRESS ||
+            counter.amount != offer.amount ||
+            counter.expiresAt < block.timestamp
+        ) revert InvalidCounterOffer();
+
+        delete counterOffersByOfferId[offerId];
+
+        uint256 escrowedValue = offer.priceWithTakerFee;
+
+        offer.price = counter.price;
+        offer.priceWithTakerFee =
+            counter.price +
+            _calculateTakerCut(
+                offer.nftContract,
+                counter.seller,
+                offer.bidder,
+                counter.price
+            );
+
+        _topUpOfferEscrow(offer, escrowedValue);
+
+        _acceptOffer(offer, offer.amount, counter.seller);
+
+        emit CounterOfferAccepted(
+            offerId,
+            offer.bidder,
+            counter.seller,
+            counter.price
+        );
+    }
 
-    // Offer by token address => token id => offerder => offerId
-    mapping(address => mapping(uint256 => mapping(address => uint256)))
-        private offerIdsByBidder;
+    function cancelCounterOffer(uint256 offerId) external {
+        if (counterOffersByOfferId[offerId].seller != _msgSender())
+            revert InvalidCounterOffer();
 
-    struct Offer {
-        uint256 id;
-        address nftContract;
-        address paymentErc20TokenAddress;
-        address bidder;
-        uint256 tokenId;
-        uint256 price;
-        uint256 priceWithTakerFee;
-        uint256 expiresAt;
+        delete counterOffersByOfferId[offerId];
+
+        emit CounterOfferCancelled(offerId, _msgSender());
+    }
+
+    /**
+     * @notice Sells one token from the collection to the collection offer bidder
+     */
+    function acceptCollectionOffer(uint256 offerId, uint256 tokenId)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        _acceptCollectionOffer(offerId, tokenId, new bytes32[](0));
+    }
+
+    /**
+     * @notice Sells one token to the trait offer bidder, proving token id is in offer's merkle tree
+     */
+    function acceptTraitOffer(
+        uint256 offerId,
+        uint256 tokenId,
+        bytes32[] calldata proof
+    ) external nonReentrant whenNotPaused {
+        _acceptCollectionOffer(offerId, tokenId, proof);
+    }
+
+    /**
+     * @notice Refunds remaining escrow of collection offer
+     * @dev Bidder can cancel anytime, anyone else once the offer has expired
+     */
+    function cancelCollectionOffer(uint256 offerId)
+        external
+        nonReentrant
+        whenNotPausedOrEmergency
+    {
+        CollectionOffer memory offer = collectionOffersById[offerId];
+
+        if (offer.id != offerId) revert InvalidOffer();
+        if (offer.bidder != _msgSender() && offer.expiresAt >= block.timestamp)
+            revert NotExpiredOffer();
+
+        delete collectionOffersById[offerId];
+        closedOfferStatuses[offerId] = OfferStatus.CANCELLED;
+
+        _decreaseEscrowedEther(
+            offer.paymentErc20TokenAddress,
+            offer.priceWithTakerFee * offer.quantity
+        );
+
+        if (offer.paymentErc20TokenAddress == ZERO_ADDRESS) {
+            _transferEtherFunds(
+                offer.bidder,
+                offer.priceWithTakerFee * offer.quantity
+            );
+        }
+
+        emit CollectionOfferCancelled(
+            offer.id,
+            offer.nftContract,
+            offer.bidder
+        );
+    }
+
+    /**
+     * @notice Refunds expired offers to their bidders, offers that aren't expired are skipped
+     * @dev Caller gets `expiredOfferRefundReward` of each refunded ether offer
+     */
+    function refundExpiredOffers(uint256[] calldata offerIds)
+        external
+        nonReentrant
+        whenNotPausedOrEmergency
+    {
+        uint256 totalReward;
+
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            Offer memory offer = offersById[offerIds[i]];
+            if (
+                offer.bidder != ZERO_ADDRESS &&
+                offer.expiresAt < block.timestamp
+            ) {
+                totalReward += _refundExpiredOffer(offer);
+            }
+        }
+
+        if (totalReward > 0) {
+            _transferEtherFunds(_msgSender(), totalReward);
+        }
+    }
+
+    /**
+     * @notice Returns status of token or collection offer
+     * @dev Offers closed before statuses were tracked are reported as NONE
+     */
+    function getOfferStatus(uint256 offerId)
+        external
+        view
+        returns (OfferStatus)
+    {
+        uint256 expiresAt = offersById[offerId].bidder != ZERO_ADDRESS
+            ? offersById[offerId].expiresAt
+            : collectionOffersById[offerId].expiresAt;
+
+        if (expiresAt == 0) return closedOfferStatuses[offerId];
+
+        return
+            expiresAt < block.timestamp
+                ? OfferStatus.EXPIRED
+                : OfferStatus.ACTIVE;
+    }
+
+    function getCollectionOffer(uint256 offerId)
+        external
+        view
+        returns (CollectionOffer memory)
+    {
+        CollectionOffer memory offer = collectionOffersById[offerId];
+        if (offer.id != offerId) revert InvalidOffer();
+
+        return offer;
+    }
+
+    function getCounterOffer(uint256 offerId)
+        external
+        view
+        returns (CounterOffer memory)
+    {
+        CounterOffer memory counter = counterOffersByOfferId[offerId];
+        if (counter.seller == ZERO_ADDRESS) revert InvalidCounterOffer();
+
+        return counter;
+    }
+
+    function getOffer(uint256 offerId) external view returns (Offer memory) {
+        Offer memory offer = offersById[offerId];
+        if (offer.id != offerId) revert InvalidOffer();
+
+        return offer;
+    }
+
+    /**
+     * @notice Quotes what `seller` receives for `amount` tokens when accepting the offer
+     * @dev Taker cut is the one escrowed with the offer
+     */
+    function getOfferQuote(
+        uint256 offerId,
+        uint256 amount,
+        address seller
+    ) external view returns (FeeQuote memory quote) {
+        Offer memory offer = _getActiveOffer(offerId);
+        if (amount == 0 || amount > offer.amount) revert InvalidAmount();
+
+        quote = _getFeeQuote(
+            offer.nftContract,
+            offer.tokenId,
+            (offer.price * amount) / offer.amount,
+            seller,
+            offer.bidder
+        );
+
+        quote.buyerTotal = (offer.priceWithTakerFee * amount) / offer.amount;
+        quote.takerCut = quote.buyerTotal - quote.price;
+    }
+
+    /**
+     * @notice Quotes what `seller` receives for `tokenId` when accepting collection or trait offer
+     * @dev Merkle proof of trait offer is not checked, taker cut is the one escrowed with the offer
+     */
+    function getCollectionOfferQuote(
+        uint256 offerId,
+        uint256 tokenId,
+        address seller
+    ) external view returns (FeeQuote memory quote) {
+        CollectionOffer memory offer = collectionOffersById[offerId];
+        if (offer.id != offerId || offer.expiresAt < block.timestamp)
+            revert InvalidOffer();
+
+        quote = _getFeeQuote(
+            offer.nftContract,
+            tokenId,
+            offer.price,
+            seller,
+            offer.bidder
+        );
+
+        quote.buyerTotal = offer.priceWithTakerFee;
+        quote.takerCut = offer.priceWithTakerFee - offer.price;
+    }
+
+    /// @param _reward - part of escrowed ether paid for refunding expired offer (100 = 1%)
+    function updateExpiredOfferRefundReward(uint256 _reward)
+        external
+        onlyOwner
+    {
+        _updateExpiredOfferRefundReward(_reward);
+    }
+
+    /**
+     * @notice Allows owner to cancel offers, refunding eth to bidders
+     * @dev This should only be used for extreme cases
+     */
+    function adminCancelOffers(uint256[] calldata offerIds)
+        external
+        onlyOwner
+        nonReentrant
+    {
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            Offer memory offer = offersById[offerIds[i]];
+            _cancelOffer(offer);
+        }
     }
 
-    event OfferCreated(
-        uint256 id,
-        address indexed nftContract,
-        uint256 indexed tokenId,
-        address indexed bidder,
+    function _placeOffer(
+        address nftContract,
+        address paymentErc20TokenAddress,
+        uint256 tokenId,
+        uint256 amount,
+        bytes4 assetClass,
+        uint256 duration,
         uint256 price,
-        uint256 expiresAt,
-        address paymentErc20TokenAddress
-    );
+        uint256 priceWithTakerFee
+    ) internal {
+        if (assetClass == ERC721_ASSET_CLASS) {
+            if (IERC721(nftContract).ownerOf(tokenId) == _msgSender())
+                revert InvalidTokenOwner();
+        } else {
+            _requireCorrectNftInterface(assetClass, nftContract);
+            if (amount == 0) revert InvalidAmount();
+        }
 
-    event OfferAccepted(
-        uint256 id,
-        address indexed nftContract,
-        uint256 indexed tokenId,
-        address bidder,
-        address indexed seller,
-        uint256 price,
-        uint256 totalFees
-    );
+        if (duration < MIN_OFFER_DURATION) revert DurationTooShort();
+        if (_bidderHasOffer(nftContract, tokenId, _msgSender()))
+            revert OfferExists();
 
-    event OfferCancelled(
-        uint256 id,
-        address indexed nftContract,
-        uint256 indexed tokenId,
-        address indexed bidder
-    );
+        uint256 offerId = nextOfferId++;
 
-    function __EndemicOffer___init_unchained() internal {
-        nextOfferId = 1;
-    }
+        uint256 expiresAt = block.timestamp + duration;
 
-    function placeOffer(
-        address nftContract,
-        uint256 tokenId,
-        uint256 duration
-    ) external payable nonReentrant {
-        _requireCorrectEtherValueProvided(MIN_PRICE);
+        _increaseEscrowedEther(paymentErc20TokenAddress, priceWithTakerFee);
 
-        uint256 price = (msg.value * MAX_FEE) / (takerFee + MAX_FEE);
+        offerIdsByBidder[nftContract][tokenId][_msgSender()] = offerId;
+        offersById[offerId] = Offer({
+            id: offerId,
+            bidder: _msgSender(),
+            nftContract: nftContract,
+            tokenId: tokenId,
+            price: price,
+            priceWithTakerFee: priceWithTakerFee,
+            expiresAt: expiresAt,
+            paymentErc20TokenAddress: paymentErc20TokenAddress,
+            amount: amount,
+            assetClass: assetClass
+        });
 
-        _placeOffer(
+        emit OfferCreated(
+            offerId,
             nftContract,
-            address(0),
             tokenId,
-            duration,
+            _msgSender(),
             price,
-            msg.value
+            expiresAt,
+            paymentErc20TokenAddress
         );
+
+        if (assetClass == ERC1155_ASSET_CLASS) {
+            emit Erc1155OfferCreated(offerId, amount);
+        }
     }
 
-    function placeOfferInErc20(
-        address nftContract,
-        address paymentErc20TokenAddress,
-        uint256 offerInErc20,
-        uint256 tokenId,
-        uint256 duration
-    ) external nonReentrant {
-        if (!supportedErc20Addresses[paymentErc20TokenAddress]) {
-            revert InvalidPaymentMethod();
+    function _getOfferForAcceptance(uint256 offerId)
+        internal
+        view
+        returns (Offer memory offer)
+    {
+        offer = _getActiveOffer(offerId);
+
+        if (offer.bidder == _msgSender()) revert AcceptFromSelf();
+    }
+
+    function _getActiveOffer(uint256 offerId)
+        internal
+        view
+        returns (Offer memory offer)
+    {
+        offer = offersById[offerId];
+
+        if (offer.id != offerId || offer.expiresAt < block.timestamp) {
+            revert InvalidOffer();
         }
 
-        _requireCorrectErc20ValueProvided(
-            offerInErc20,
-            paymentErc20TokenAddress,
-            _msgSender()
+        // Offers placed before ERC1155 support are for single ERC721 token
+        if (offer.assetClass == bytes4(0)) {
+            offer.assetClass = ERC721_ASSET_CLASS;
+            offer.amount = 1;
+        }
+    }
+
+    function _acceptOffer(
+        Offer memory offer,
+        uint256 amount,
+        address seller
+    ) internal {
+        if (amount == 0 || amount > offer.amount) revert InvalidAmount();
+
+        _requireTokenOwnership(
+            offer.assetClass,
+            offer.nftContract,
+            offer.tokenId,
+            amount,
+            seller
         );
 
-        uint256 price = (offerInErc20 * MAX_FEE) / (takerFee + MAX_FEE);
+        uint256 price = (offer.price * amount) / offer.amount;
+        uint256 priceWithTakerFee = (offer.priceWithTakerFee * amount) /
+            offer.amount;
 
-        _placeOffer(
-            nftContract,
-            paymentErc20TokenAddress,
-            tokenId,
-            duration,
+        if (amount == offer.amount) {
+            delete offersById[offer.id];
+            delete offerIdsByBidder[offer.nftContract][offer.tokenId][
+                offer.bidder
+            ];
+            closedOfferStatuses[offer.id] = OfferStatus.ACCEPTED;
+        } else {
+            Offer storage remainingOffer = offersById[offer.id];
+            remainingOffer.price -= price;
+            remainingOffer.priceWithTakerFee -= priceWithTakerFee;
+            remainingOffer.amount -= amount;
+        }
+
+        _decreaseEscrowedEther(
+            offer.paymentErc20TokenAddress,
+            priceWithTakerFee
+        );
+
+        _transferNFT(
+            seller,
+            offer.bidder,
+            offer.nftContract,
+            offer.tokenId,
+            amount,
+            offer.assetClass
+        );
+
+        uint256 totalCut = _payForOffer(
+            offer,
+            seller,
             price,
-            offerInErc20
+            priceWithTakerFee
+        );
+
+        emit OfferAccepted(
+            offer.id,
+            offer.nftContract,
+            offer.tokenId,
+            offer.bidder,
+            seller,
+            price,
+            totalCut
         );
+
+        if (offer.assetClass == ERC1155_ASSET_CLASS) {
+            emit Erc1155OfferAccepted(offer.id, amount);
+        }
     }
 
-    function cancelOffer(uint256 offerId) external nonReentrant {
-        Offer memory offer = offersById[offerId];
-        if (offer.bidder != _msgSender()) revert InvalidOffer();
+    function _payForOffer(
+        Offer memory offer,
+        address seller,
+        uint256 price,
+        uint256 priceWithTakerFee
+    ) internal returns (uint256 totalCut) {
+        (
+            uint256 makerCut,
+            ,
+            address[] memory royaltiesRecipients,
+            uint256[] memory royaltiesCuts,
 
-        _cancelOffer(offer);
+        ) = _calculateFees(
+                offer.nftContract,
+                offer.tokenId,
+                price,
+                seller,
+                offer.bidder
+            );
+
+        // Taker cut is the one escrowed with the offer
+        totalCut = makerCut + priceWithTakerFee - price;
+
+        _distributeFunds(
+            price,
+            makerCut,
+            totalCut,
+            royaltiesCuts,
+            royaltiesRecipients,
+            seller,
+            offer.bidder,
+            offer.paymentErc20TokenAddress
+        );
     }
 
-    function acceptOffer(uint256 offerId) external nonReentrant {
-        Offer memory offer = offersById[offerId];
+    function _acceptCollectionOffer(
+        uint256 offerId,
+        uint256 tokenId,
+        bytes32[] memory proof
+    ) internal {
+        CollectionOffer memory offer = collectionOffersById[offerId];
 
         if (offer.id != offerId || offer.expiresAt < block.timestamp) {
             revert InvalidOffer();
         }
         if (offer.bidder == _msgSender()) revert AcceptFromSelf();
+        if (
+            offer.merkleRoot != bytes32(0) &&
+            !MerkleProofUpgradeable.verify(
+                proof,
+                offer.merkleRoot,
+                keccak256(abi.encodePacked(tokenId))
+            )
+        ) revert InvalidProof();
 
-        delete offersById[offerId];
-        delete offerIdsByBidder[offer.nftContract][offer.tokenId][offer.bidder];
+        if (offer.quantity == 1) {
+            delete collectionOffersById[offerId];
+            closedOfferStatuses[offerId] = OfferStatus.ACCEPTED;
+        } else {
+            collectionOffersById[offerId].quantity -= 1;
+        }
+
+        _decreaseEscrowedEther(
+            offer.paymentErc20TokenAddress,
+            offer.priceWithTakerFee
+        );
 
         (
             uint256 makerCut,
             ,
-            address royaltiesRecipient,
-            uint256 royaltieFee,
-            uint256 totalCut
-        ) = _calculateFees(offer.nftContract, offer.tokenId, offer.price);
-        // sale happened
+            address[] memory royaltiesRecipients,
+            uint256[] memory royaltiesCuts,
+
+        ) = _calculateFees(
+                offer.nftContract,
+                tokenId,
+                offer.price,
+                _msgSender(),
+                offer.bidder
+            );
+
+        // Taker cut is the one escrowed with the offer
+        uint256 totalCut = makerCut + offer.priceWithTakerFee - offer.price;
 
-        // Transfer token to bidder
         IERC721(offer.nftContract).transferFrom(
             _msgSender(),
             offer.bidder,
-            offer.tokenId
+            tokenId
         );
 
         _distributeFunds(
             offer.price,
             makerCut,
             totalCut,
-            royaltieFee,
-            royaltiesRecipient,
+            royaltiesCuts,
+            royaltiesRecipients,
             _msgSender(),
             offer.bidder,
             offer.paymentErc20TokenAddress
         );
 
-        emit OfferAccepted(
+        emit CollectionOfferAccepted(
             offerId,
             offer.nftContract,
-            offer.tokenId,
+            tokenId,
             offer.bidder,
             _msgSender(),
             offer.price,
@@ -180,69 +953,106 @@ abstract contract EndemicOffer is
         );
     }
 
-    function getOffer(uint256 offerId) external view returns (Offer memory) {
-        Offer memory offer = offersById[offerId];
-        if (offer.id != offerId) revert InvalidOffer();
+    function _placeCollectionOfferInEther(
+        address nftContract,
+        bytes32 merkleRoot,
+        uint256 quantity,
+        uint256 duration
+    ) internal {
+        if (quantity == 0 || msg.value % quantity != 0)
+            revert InvalidValueProvided();
 
-        return offer;
+        uint256 priceWithTakerFee = msg.value / quantity;
+        if (priceWithTakerFee < MIN_PRICE) revert InvalidValueProvided();
+
+        _placeCollectionOffer(
+            nftContract,
+            ZERO_ADDRESS,
+            merkleRoot,
+            quantity,
+            duration,
+            priceWithTakerFee
+        );
     }
 
-    /**
-     * @notice Allows owner to cancel offers, refunding eth to bidders
-     * @dev This should only be used for extreme cases
-     */
-    function adminCancelOffers(uint256[] calldata offerIds)
-        external
-        onlyOwner
-        nonReentrant
-    {
-        for (uint256 i = 0; i < offerIds.length; i++) {
-            Offer memory offer = offersById[offerIds[i]];
-            _cancelOffer(offer);
+    function _placeCollectionOfferInErc20(
+        address nftContract,
+        address paymentErc20TokenAddress,
+        uint256 offerInErc20,
+        bytes32 merkleRoot,
+        uint256 quantity,
+        uint256 duration
+    ) internal {
+        if (!supportedErc20Addresses[paymentErc20TokenAddress]) {
+            revert InvalidPaymentMethod();
         }
+
+        if (quantity == 0 || offerInErc20 % quantity != 0)
+            revert InvalidValueProvided();
+
+        _requireCorrectErc20ValueProvided(
+            offerInErc20,
+            paymentErc20TokenAddress,
+            _msgSender()
+        );
+
+        _placeCollectionOffer(
+            nftContract,
+            paymentErc20TokenAddress,
+            merkleRoot,
+            quantity,
+            duration,
+            offerInErc20 / quantity
+        );
     }
 
-    function _placeOffer(
+    function _placeCollectionOffer(
         address nftContract,
         address paymentErc20TokenAddress,
-        uint256 tokenId,
+        bytes32 merkleRoot,
+        uint256 quantity,
         uint256 duration,
-        uint256 price,
         uint256 priceWithTakerFee
     ) internal {
-        IERC721 nft = IERC721(nftContract);
-        address nftOwner = nft.ownerOf(tokenId);
+        _requireCorrectNftInterface(ERC721_ASSET_CLASS, nftContract);
 
-        if (nftOwner == _msgSender()) revert InvalidTokenOwner();
         if (duration < MIN_OFFER_DURATION) revert DurationTooShort();
-        if (_bidderHasOffer(nftContract, tokenId, _msgSender()))
-            revert OfferExists();
 
         uint256 offerId = nextOfferId++;
 
+        uint256 price = _removeTakerFee(nftContract, priceWithTakerFee);
         uint256 expiresAt = block.timestamp + duration;
 
-        offerIdsByBidder[nftContract][tokenId][_msgSender()] = offerId;
-        offersById[offerId] = Offer({
+        _increaseEscrowedEther(
+            paymentErc20TokenAddress,
+            priceWithTakerFee * quantity
+        );
+
+        collectionOffersById[offerId] = CollectionOffer({
             id: offerId,
-            bidder: _msgSender(),
             nftContract: nftContract,
-            tokenId: tokenId,
+            paymentErc20TokenAddress: paymentErc20TokenAddress,
+            bidder: _msgSender(),
             price: price,
             priceWithTakerFee: priceWithTakerFee,
+            quantity: quantity,
             expiresAt: expiresAt,
-            paymentErc20TokenAddress: paymentErc20TokenAddress
+            merkleRoot: merkleRoot
         });
 
-        emit OfferCreated(
+        emit CollectionOfferCreated(
             offerId,
             nftContract,
-            tokenId,
             _msgSender(),
             price,
+            quantity,
             expiresAt,
             paymentErc20TokenAddress
         );
+
+        if (merkleRoot != bytes32(0)) {
+            emit TraitOfferCreated(offerId, nftContract, merkleRoot);
+        }
     }
 
     function _removeExpiredOffer(
@@ -258,16 +1068,105 @@ abstract contract EndemicOffer is
         _cancelOffer(offer);
     }
 
+    /**
+     * @dev Seller is unknown when offer is placed,
+     * so only collection fee override applies to escrowed taker fee
+     */
+    function _removeTakerFee(address nftContract, uint256 priceWithTakerFee)
+        internal
+        view
+        returns (uint256)
+    {
+        (, uint256 offerTakerFee) = _getDiscountedFees(
+            nftContract,
+            ZERO_ADDRESS,
+            _msgSender()
+        );
+
+        return (priceWithTakerFee * MAX_FEE) / (offerTakerFee + MAX_FEE);
+    }
+
     function _cancelOffer(Offer memory offer) internal {
         delete offersById[offer.id];
         delete offerIdsByBidder[offer.nftContract][offer.tokenId][offer.bidder];
+        delete counterOffersByOfferId[offer.id];
+        closedOfferStatuses[offer.id] = OfferStatus.CANCELLED;
+
+        _decreaseEscrowedEther(
+            offer.paymentErc20TokenAddress,
+            offer.priceWithTakerFee
+        );
+
+        if (offer.paymentErc20TokenAddress == ZERO_ADDRESS) {
+            _transferEtherFunds(offer.bidder, offer.priceWithTakerFee);
+        }
+
+        emit OfferCancelled(
+            offer.id,
+            offer.nftContract,
+            offer.tokenId,
+            offer.bidder
+        );
+    }
+
+    /**
+     * @dev Escrow is topped up with sent ether and anything above new price with taker fee is refunded
+     */
+    function _topUpOfferEscrow(Offer memory offer, uint256 escrowedValue)
+        internal
+    {
+        if (offer.paymentErc20TokenAddress != ZERO_ADDRESS) {
+            _requireCorrectErc20ValueProvided(
+                offer.priceWithTakerFee,
+                offer.paymentErc20TokenAddress,
+                offer.bidder
+            );
+            _refundEtherOverpayment(
+                offer.bidder,
+                0,
+                offer.paymentErc20TokenAddress
+            );
+            return;
+        }
+
+        if (escrowedValue + msg.value < offer.priceWithTakerFee)
+            revert InvalidValueProvided();
+
+        _increaseEscrowedEther(ZERO_ADDRESS, msg.value);
+
+        uint256 refund = escrowedValue + msg.value - offer.priceWithTakerFee;
+        if (refund > 0) {
+            _decreaseEscrowedEther(ZERO_ADDRESS, refund);
+            _transferEtherFunds(offer.bidder, refund);
+
+            emit EtherOverpaymentRefunded(offer.bidder, refund);
+        }
+    }
+
+    /**
+     * @dev Failed refunds are credited to the bidder so one offer can't block the whole batch
+     * @return reward Part of the refund kept for the caller
+     */
+    function _refundExpiredOffer(Offer memory offer)
+        internal
+        returns (uint256 reward)
+    {
+        delete offersById[offer.id];
+        delete offerIdsByBidder[offer.nftContract][offer.tokenId][offer.bidder];
+        closedOfferStatuses[offer.id] = OfferStatus.EXPIRED;
+
+        _decreaseEscrowedEther(
+            offer.paymentErc20TokenAddress,
+            offer.priceWithTakerFee
+        );
 
         if (offer.paymentErc20TokenAddress == ZERO_ADDRESS) {
-            (bool success, ) = payable(offer.bidder).call{
-                value: offer.priceWithTakerFee
-            }("");
+            reward = _calculateCut(
+                expiredOfferRefundReward,
+                offer.priceWithTakerFee
+            );
 
-            if (!success) revert RefundFailed();
+            _transferEtherFunds(offer.bidder, offer.priceWithTakerFee - reward);
         }
 
         emit OfferCancelled(
@@ -278,6 +1177,14 @@ abstract contract EndemicOffer is
         );
     }
 
+    function _updateExpiredOfferRefundReward(uint256 _reward) internal {
+        if (_reward > MAX_EXPIRED_OFFER_REFUND_REWARD) revert InvalidFees();
+
+        expiredOfferRefundReward = _reward;
+
+        emit ExpiredOfferRefundRewardUpdated(_reward);
+    }
+
     function _bidderHasOffer(
         address nftContract,
         uint256 tokenId,
@@ -287,6 +1194,4 @@ abstract contract EndemicOffer is
         Offer memory offer = offersById[offerId];
         return offer.bidder == bidder;
     }
-
-    uint256[1000] private __gap;
 }
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+
+import "./EndemicExchangeCore.sol";
+
+abstract contract EndemicOfferStorage is
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EndemicExchangeCore
+{
+    uint256 internal nextOfferId;
+
+    mapping(uint256 => Offer) internal offersById;
+
+    // Offer by token address => token id => offerder => offerId
+    mapping(address => mapping(uint256 => mapping(address => uint256)))
+        internal offerIdsByBidder;
+
+    mapping(uint256 => CollectionOffer) internal collectionOffersById;
+
+    mapping(uint256 => CounterOffer) internal counterOffersByOfferId;
+
+    // Status of offers that are no longer stored
+    mapping(uint256 => OfferStatus) internal closedOfferStatuses;
+
+    // Part of escrowed ether paid to whoever refunds expired offer (100 = 1%)
+    uint256 public expiredOfferRefundReward;
+
+    /// @dev Price is for the whole amount of the offer at the time of counter-offer
+    struct CounterOffer {
+        address seller;
+        uint256 price;
+        uint256 amount;
+        uint256 expiresAt;
+    }
+
+    enum OfferStatus {
+        NONE,
+        ACTIVE,
+        EXPIRED,
+        ACCEPTED,
+        CANCELLED
+    }
+
+    /// @dev Prices are for the whole remaining amount of tokens
+    struct Offer {
+        uint256 id;
+        address nftContract;
+        address paymentErc20TokenAddress;
+        address bidder;
+        uint256 tokenId;
+        uint256 price;
+        uint256 priceWithTakerFee;
+        uint256 expiresAt;
+        uint256 amount;
+        bytes4 assetClass;
+    }
+
+    /**
+     * @dev Prices are per token, quantity is number of tokens still wanted.
+     * Non-zero merkle root restricts offer to token ids in the tree
+     */
+    struct CollectionOffer {
+        uint256 id;
+        address nftContract;
+        address paymentErc20TokenAddress;
+        address bidder;
+        uint256 price;
+        uint256 priceWithTakerFee;
+        uint256 quantity;
+        uint256 expiresAt;
+        bytes32 merkleRoot;
+    }
+
+    function __EndemicOffer___init_unchained() internal {
+        nextOfferId = 1;
+    }
+
+    uint256[996] private __gap;
+}
@@ -1,46 +1,23 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.15;
 
-import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 
-import "./EndemicExchangeCore.sol";
+import "./EndemicPrivateSaleStorage.sol";
 
 error PrivateSaleExpired();
-error InvalidSignature();
 error InvalidPrivateSale();
 
-contract EndemicPrivateSale is
-    OwnableUpgradeable,
-    ReentrancyGuardUpgradeable,
-    EndemicExchangeCore
-{
+contract EndemicPrivateSale is EndemicPrivateSaleStorage {
     using AddressUpgradeable for address;
 
     bytes32 private constant PRIVATE_SALE_TYPEHASH =
         keccak256(
             // solhint-disable-next-line max-line-length
-            "PrivateSale(address nftContract,uint256 tokenId,address paymentErc20TokenAddress,address seller,address buyer,uint256 price,uint256 deadline)"
+            "PrivateSale(address nftContract,uint256 tokenId,uint256 amount,bytes4 assetClass,address paymentErc20TokenAddress,address seller,address buyer,uint256 price,uint256 deadline)"
         );
 
-    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
-        keccak256(
-            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract,bytes32 salt)"
-        );
-
-    bytes32 private constant SALT_HASH = keccak256("Endemic Exchange Salt");
-
-    string private constant DOMAIN_NAME = "Endemic Exchange";
-
-    bytes32 public DOMAIN_SEPARATOR;
-
-    // Maps nftContract -> tokenId -> seller -> buyer -> price -> deadline -> invalidated.
-    // solhint-disable-next-line max-line-length
-    mapping(address => mapping(uint256 => mapping(address => mapping(address => mapping(uint256 => mapping(uint256 => bool))))))
-        private privateSaleInvalidated;
-
     event PrivateSaleSuccess(
         address indexed nftContract,
         uint256 indexed tokenId,
@@ -51,19 +28,18 @@ contract EndemicPrivateSale is
         address paymentErc20TokenAddress
     );
 
-    function __EndemicPrivateSale___init_unchained() internal {
-        DOMAIN_SEPARATOR = keccak256(
-            abi.encode(
-                EIP712_DOMAIN_TYPEHASH,
-                keccak256(bytes(DOMAIN_NAME)),
-                keccak256(bytes("1")),
-                block.chainid,
-                address(this),
-                SALT_HASH
-            )
-        );
-    }
+    /// @dev Emitted after PrivateSaleSuccess when ERC1155 copies are sold
+    event Erc1155PrivateSaleSuccess(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 amount
+    );
 
+    /**
+     * @notice Buys ERC721 token from private sale signed by its owner
+     * @dev Buyer pays `price`, taker fee isn't charged on private sales
+     */
     function buyFromPrivateSale(
         address paymentErc20TokenAddress,
         address nftContract,
@@ -73,102 +49,170 @@ contract EndemicPrivateSale is
         uint8 v,
         bytes32 r,
         bytes32 s
-    ) external payable nonReentrant {
-        if (deadline < block.timestamp) {
+    ) external payable nonReentrant whenNotPaused {
+        _buyFromPrivateSale(
+            PrivateSale(
+                nftContract,
+                tokenId,
+                1,
+                ERC721_ASSET_CLASS,
+                paymentErc20TokenAddress,
+                IERC721(nftContract).ownerOf(tokenId),
+                price,
+                deadline
+            ),
+            v,
+            r,
+            s
+        );
+    }
+
+    /**
+     * @notice Buys `amount` copies of ERC1155 token from private sale
+     * @dev Seller is explicit because ERC1155 tokens can have many owners
+     */
+    function buyErc1155FromPrivateSale(
+        PrivateSale calldata privateSale,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external payable nonReentrant whenNotPaused {
+        if (privateSale.assetClass != ERC1155_ASSET_CLASS)
+            revert InvalidAssetClass();
+
+        _buyFromPrivateSale(privateSale, v, r, s);
+    }
+
+    /**
+     * @notice Quotes what `buyer` pays and seller receives for the private sale
+     */
+    function getPrivateSaleQuote(
+        PrivateSale calldata privateSale,
+        address buyer
+    ) external view returns (FeeQuote memory quote) {
+        quote = _getFeeQuote(
+            privateSale.nftContract,
+            privateSale.tokenId,
+            privateSale.price,
+            privateSale.seller,
+            buyer
+        );
+
+        quote.takerCut = 0;
+        quote.buyerTotal = privateSale.price;
+    }
+
+    function _buyFromPrivateSale(
+        PrivateSale memory privateSale,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        if (privateSale.deadline < block.timestamp) {
             revert PrivateSaleExpired();
         }
 
-        address buyer = _msgSender();
-
-        _requireCorrectPaymentMethod(paymentErc20TokenAddress);
-        _requireCorrectValueProvided(price, paymentErc20TokenAddress, buyer);
+        _requireCorrectPaymentMethod(privateSale.paymentErc20TokenAddress);
+        _requireCorrectValueProvided(
+            privateSale.price,
+            privateSale.paymentErc20TokenAddress,
+            _msgSender()
+        );
 
-        address payable seller = payable(IERC721(nftContract).ownerOf(tokenId));
+        bytes32 privateSaleHash = keccak256(
+            abi.encode(
+                PRIVATE_SALE_TYPEHASH,
+                privateSale.nftContract,
+                privateSale.tokenId,
+                privateSale.amount,
+                privateSale.assetClass,
+                privateSale.paymentErc20TokenAddress,
+                privateSale.seller,
+                _msgSender(),
+                privateSale.price,
+                privateSale.deadline
+            )
+        );
 
-        if (
-            privateSaleInvalidated[nftContract][tokenId][seller][buyer][price][
-                deadline
-            ]
-        ) {
+        if (privateSaleHashInvalidated[privateSaleHash]) {
             revert InvalidPrivateSale();
         }
 
         bytes32 digest = keccak256(
-            abi.encodePacked(
-                "\x19\x01",
-                DOMAIN_SEPARATOR,
-                keccak256(
-                    abi.encode(
-                        PRIVATE_SALE_TYPEHASH,
-                        nftContract,
-                        tokenId,
-                        paymentErc20TokenAddress,
-                        seller,
-                        buyer,
-                        price,
-                        deadline
-                    )
-                )
-            )
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, privateSaleHash)
         );
 
-        if (ecrecover(digest, v, r, s) != seller) {
+        if (
+            privateSale.seller == ZERO_ADDRESS ||
+            ecrecover(digest, v, r, s) != privateSale.seller
+        ) {
             revert InvalidSignature();
         }
 
-        _finalizePrivateSale(
-            nftContract,
-            tokenId,
-            paymentErc20TokenAddress,
-            seller,
-            price,
-            deadline
-        );
-    }
+        privateSaleHashInvalidated[privateSaleHash] = true;
 
-    function _finalizePrivateSale(
-        address nftContract,
-        uint256 tokenId,
-        address paymentErc20TokenAddress,
-        address payable seller,
-        uint256 price,
-        uint256 deadline
-    ) internal {
-        privateSaleInvalidated[nftContract][tokenId][seller][_msgSender()][
-            price
-        ][deadline] = true;
+        _finalizePrivateSale(privateSale);
+    }
 
+    function _finalizePrivateSale(PrivateSale memory privateSale) internal {
         (
             uint256 makerCut,
             ,
-            address royaltiesRecipient,
-            uint256 royaltieFee,
-            uint256 totalCut
-        ) = _calculateFees(nftContract, tokenId, price);
-
-        IERC721(nftContract).transferFrom(seller, _msgSender(), tokenId);
+            address[] memory royaltiesRecipients,
+            uint256[] memory royaltiesCuts,
+
+        ) = _calculateFees(
+                privateSale.nftContract,
+                privateSale.tokenId,
+                privateSale.price,
+                privateSale.seller,
+                _msgSender()
+            );
+
+        _transferNFT(
+            privateSale.seller,
+            _msgSender(),
+            privateSale.nftContract,
+            privateSale.tokenId,
+            privateSale.amount,
+            privateSale.assetClass
+        );
 
+        // Fees are only the maker cut, because buyer doesn't pay taker fee
         _distributeFunds(
-            price,
+            privateSale.price,
+            makerCut,
             makerCut,
-            totalCut,
-            royaltieFee,
-            royaltiesRecipient,
-            seller,
+            royaltiesCuts,
+            royaltiesRecipients,
+            privateSale.seller,
             _msgSender(),
-            paymentErc20TokenAddress
+            privateSale.paymentErc20TokenAddress
+        );
+
+        _refundEtherOverpayment(
+            _msgSender(),
+            privateSale.price,
+            privateSale.paymentErc20TokenAddress
         );
 
         emit PrivateSaleSuccess(
-            nftContract,
-            tokenId,
-            seller,
+            privateSale.nftContract,
+            privateSale.tokenId,
+            privateSale.seller,
             _msgSender(),
-            price,
-            totalCut,
-            paymentErc20TokenAddress
+            privateSale.price,
+            makerCut,
+            privateSale.paymentErc20TokenAddress
         );
-    }
 
-    uint256[1000] private __gap;
+        if (privateSale.assetClass == ERC1155_ASSET_CLASS) {
+            emit Erc1155PrivateSaleSuccess(
+                privateSale.nftContract,
+                privateSale.tokenId,
+                privateSale.seller,
+                privateSale.amount
+            );
+        }
+    }
 }
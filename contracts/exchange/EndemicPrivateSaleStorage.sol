@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+
+import "./EndemicExchangeCore.sol";
+
+abstract contract EndemicPrivateSaleStorage is
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EndemicExchangeCore
+{
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract,bytes32 salt)"
+        );
+
+    bytes32 private constant SALT_HASH = keccak256("Endemic Exchange Salt");
+
+    string private constant DOMAIN_NAME = "Endemic Exchange";
+
+    bytes32 public DOMAIN_SEPARATOR;
+
+    // Deprecated, private sales are invalidated by their hash
+    // solhint-disable-next-line max-line-length
+    mapping(address => mapping(uint256 => mapping(address => mapping(address => mapping(uint256 => mapping(uint256 => bool))))))
+        internal privateSaleInvalidated;
+
+    mapping(bytes32 => bool) internal privateSaleHashInvalidated;
+
+    struct PrivateSale {
+        address nftContract;
+        uint256 tokenId;
+        uint256 amount;
+        bytes4 assetClass;
+        address paymentErc20TokenAddress;
+        address seller;
+        uint256 price;
+        uint256 deadline;
+    }
+
+    function __EndemicPrivateSale___init_unchained() internal {
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(
+                EIP712_DOMAIN_TYPEHASH,
+                keccak256(bytes(DOMAIN_NAME)),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this),
+                SALT_HASH
+            )
+        );
+    }
+
+    uint256[999] private __gap;
+}
@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "./EndemicSignedOrderStorage.sol";
+
+error OrderExpired();
+error InvalidOrder();
+
+abstract contract EndemicSignedOrder is EndemicSignedOrderStorage {
+    bytes32 private constant ORDER_TYPEHASH =
+        keccak256(
+            // solhint-disable-next-line max-line-length
+            "Order(address seller,address nftContract,uint256 tokenId,uint256 amount,bytes4 assetClass,address paymentErc20TokenAddress,uint256 price,uint256 expiresAt,uint256 nonce)"
+        );
+
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address seller,
+        address buyer,
+        uint256 amount,
+        uint256 totalPrice,
+        uint256 totalFees
+    );
+
+    event OrderCancelled(bytes32 indexed orderHash, address indexed seller);
+
+    event OrderNonceIncremented(address indexed seller, uint256 nonce);
+
+    /**
+     * @notice Buys tokens from order signed off-chain by the seller
+     * @dev Order can be filled partially for ERC1155 tokens
+     */
+    function buyFromOrder(
+        Order calldata order,
+        uint256 amount,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external payable nonReentrant whenNotPaused {
+        if (order.expiresAt < block.timestamp) revert OrderExpired();
+        if (
+            order.nonce != orderNonces[order.seller] ||
+            order.seller == _msgSender()
+        ) revert InvalidOrder();
+
+        bytes32 orderHash = getOrderHash(order);
+
+        if (orderCancelled[orderHash]) revert InvalidOrder();
+        if (
+            amount == 0 ||
+            orderFilledAmount[orderHash] + amount > order.amount ||
+            (order.assetClass == ERC721_ASSET_CLASS && order.amount != 1)
+        ) revert InvalidAmount();
+
+        if (
+            order.seller == ZERO_ADDRESS ||
+            ecrecover(_hashTypedData(orderHash), v, r, s) != order.seller
+        ) revert InvalidSignature();
+
+        _requireCorrectPaymentMethod(order.paymentErc20TokenAddress);
+
+        orderFilledAmount[orderHash] += amount;
+
+        uint256 totalPrice = order.price * amount;
+
+        _transferNFT(
+            order.seller,
+            _msgSender(),
+            order.nftContract,
+            order.tokenId,
+            amount,
+            order.assetClass
+        );
+
+        uint256 totalCut = _payForOrder(order, totalPrice);
+
+        emit OrderFilled(
+            orderHash,
+            order.nftContract,
+            order.tokenId,
+            order.seller,
+            _msgSender(),
+            amount,
+            totalPrice,
+            totalCut
+        );
+    }
+
+    function cancelOrder(Order calldata order) external {
+        if (order.seller != _msgSender()) revert InvalidOrder();
+
+        bytes32 orderHash = getOrderHash(order);
+        orderCancelled[orderHash] = true;
+
+        emit OrderCancelled(orderHash, order.seller);
+    }
+
+    /**
+     * @notice Cancels all orders signed by the caller
+     */
+    function cancelAllOrders() external {
+        uint256 nonce = ++orderNonces[_msgSender()];
+
+        emit OrderNonceIncremented(_msgSender(), nonce);
+    }
+
+    function getOrderHash(Order calldata order) public pure returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    ORDER_TYPEHASH,
+                    order.seller,
+                    order.nftContract,
+                    order.tokenId,
+                    order.amount,
+                    order.assetClass,
+                    order.paymentErc20TokenAddress,
+                    order.price,
+                    order.expiresAt,
+                    order.nonce
+                )
+            );
+    }
+
+    function _payForOrder(Order calldata order, uint256 totalPrice)
+        internal
+        returns (uint256)
+    {
+        (
+            uint256 makerCut,
+            uint256 takerCut,
+            address[] memory royaltiesRecipients,
+            uint256[] memory royaltiesCuts,
+            uint256 totalCut
+        ) = _calculateFees(
+                order.nftContract,
+                order.tokenId,
+                totalPrice,
+                order.seller,
+                _msgSender()
+            );
+
+        _requireCorrectValueProvided(
+            totalPrice + takerCut,
+            order.paymentErc20TokenAddress,
+            _msgSender()
+        );
+
+        _distributeFunds(
+            totalPrice,
+            makerCut,
+            totalCut,
+            royaltiesCuts,
+            royaltiesRecipients,
+            order.seller,
+            _msgSender(),
+            order.paymentErc20TokenAddress
+        );
+
+        _refundEtherOverpayment(
+            _msgSender(),
+            totalPrice + takerCut,
+            order.paymentErc20TokenAddress
+        );
+
+        return totalCut;
+    }
+
+    function _hashTypedData(bytes32 structHash)
+        internal
+        view
+        returns (bytes32)
+    {
+        return
+            keccak256(
+                abi.encodePacked("\x19\x01", _domainSeparator(), structHash)
+            );
+    }
+
+    /// @dev Signed orders share EIP712 domain with private sales
+    function _domainSeparator() internal view virtual returns (bytes32);
+}
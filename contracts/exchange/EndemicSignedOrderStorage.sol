@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+
+import "./EndemicExchangeCore.sol";
+
+abstract contract EndemicSignedOrderStorage is
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EndemicExchangeCore
+{
+    // Bumping seller nonce invalidates all orders they signed with the previous one
+    mapping(address => uint256) public orderNonces;
+
+    mapping(bytes32 => uint256) public orderFilledAmount;
+
+    mapping(bytes32 => bool) public orderCancelled;
+
+    /// @dev Price is per token, amount is number of tokens that can be sold with the order
+    struct Order {
+        address seller;
+        address nftContract;
+        uint256 tokenId;
+        uint256 amount;
+        bytes4 assetClass;
+        address paymentErc20TokenAddress;
+        uint256 price;
+        uint256 expiresAt;
+        uint256 nonce;
+    }
+
+    uint256[1000] private __gap;
+}
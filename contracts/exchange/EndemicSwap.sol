@@ -0,0 +1,294 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "./EndemicSwapStorage.sol";
+
+error InvalidSwap();
+error SwapExpired();
+
+abstract contract EndemicSwap is EndemicSwapStorage {
+    uint256 public constant MAX_SWAP_ITEMS = 20;
+    uint256 public constant MIN_SWAP_DURATION = 1 hours;
+
+    event SwapProposed(
+        uint256 indexed id,
+        address indexed maker,
+        address indexed taker,
+        address paymentErc20TokenAddress,
+        uint256 sweetener,
+        uint256 expiresAt
+    );
+
+    event SwapAccepted(
+        uint256 indexed id,
+        address indexed maker,
+        address indexed taker,
+        uint256 sweetener,
+        uint256 totalFees
+    );
+
+    event SwapCancelled(
+        uint256 indexed id,
+        address indexed maker,
+        address indexed taker
+    );
+
+    /**
+     * @notice Proposes to trade caller's tokens for tokens of `taker`
+     * @dev Fees and royalties of taker items are charged only on the sweetener.
+     * Ether sweetener must be sent with taker fee
+     */
+    function proposeSwap(
+        SwapItem[] calldata makerItems,
+        SwapItem[] calldata takerItems,
+        address taker,
+        address paymentErc20TokenAddress,
+        uint256 sweetener,
+        uint256 duration
+    ) external payable nonReentrant whenNotPaused {
+        if (taker == ZERO_ADDRESS || taker == _msgSender())
+            revert InvalidAddress();
+        if (duration < MIN_SWAP_DURATION) revert InvalidSwap();
+
+        _requireCorrectPaymentMethod(paymentErc20TokenAddress);
+
+        uint256 id = ++lastSwapId;
+        Swap storage swap = swapsById[id];
+
+        _storeSwapItems(swap.makerItems, makerItems, _msgSender());
+        _storeSwapItems(swap.takerItems, takerItems, taker);
+
+        swap.id = id;
+        swap.maker = _msgSender();
+        swap.taker = taker;
+        swap.paymentErc20TokenAddress = paymentErc20TokenAddress;
+        swap.sweetener = sweetener;
+        swap.sweetenerWithTakerFee =
+            sweetener +
+            _calculateTakerCut(ZERO_ADDRESS, taker, _msgSender(), sweetener);
+        swap.expiresAt = block.timestamp + duration;
+
+        _escrowSweetener(swap);
+
+        emit SwapProposed(
+            id,
+            _msgSender(),
+            taker,
+            paymentErc20TokenAddress,
+            sweetener,
+            swap.expiresAt
+        );
+    }
+
+    /**
+     * @notice Trades tokens of both sides and pays the sweetener to the caller
+     */
+    function acceptSwap(uint256 id) external nonReentrant whenNotPaused {
+        Swap memory swap = swapsById[id];
+
+        if (swap.taker != _msgSender()) revert InvalidSwap();
+        if (swap.expiresAt < block.timestamp) revert SwapExpired();
+
+        delete swapsById[id];
+
+        _transferSwapItems(swap.makerItems, swap.maker, swap.taker);
+        _transferSwapItems(swap.takerItems, swap.taker, swap.maker);
+
+        uint256 totalCut;
+        if (swap.sweetener > 0) {
+            totalCut = _paySweetener(swap);
+        }
+
+        emit SwapAccepted(id, swap.maker, swap.taker, swap.sweetener, totalCut);
+    }
+
+    /**
+     * @notice Cancels swap, refunding escrowed ether sweetener
+     * @dev Maker can cancel anytime, anyone else once the swap has expired
+     */
+    function cancelSwap(uint256 id)
+        external
+        nonReentrant
+        whenNotPausedOrEmergency
+    {
+        Swap memory swap = swapsById[id];
+
+        if (swap.maker == ZERO_ADDRESS) revert InvalidSwap();
+        if (swap.maker != _msgSender() && swap.expiresAt >= block.timestamp)
+            revert InvalidSwap();
+
+        delete swapsById[id];
+
+        if (
+            swap.paymentErc20TokenAddress == ZERO_ADDRESS &&
+            swap.sweetenerWithTakerFee > 0
+        ) {
+            _decreaseEscrowedEther(ZERO_ADDRESS, swap.sweetenerWithTakerFee);
+            _transferEtherFunds(swap.maker, swap.sweetenerWithTakerFee);
+        }
+
+        emit SwapCancelled(id, swap.maker, swap.taker);
+    }
+
+    function getSwap(uint256 id) external view returns (Swap memory swap) {
+        swap = swapsById[id];
+        if (swap.maker == ZERO_ADDRESS) revert InvalidSwap();
+    }
+
+    function _storeSwapItems(
+        SwapItem[] storage storedItems,
+        SwapItem[] calldata items,
+        address owner
+    ) internal {
+        if (items.length == 0 || items.length > MAX_SWAP_ITEMS)
+            revert InvalidAmount();
+
+        for (uint256 i = 0; i < items.length; i++) {
+            _requireCorrectNftInterface(
+                items[i].assetClass,
+                items[i].nftContract
+            );
+            if (
+                items[i].amount == 0 ||
+                (items[i].assetClass == ERC721_ASSET_CLASS &&
+                    items[i].amount != 1)
+            ) revert InvalidAmount();
+
+            _requireTokenOwnership(
+                items[i].assetClass,
+                items[i].nftContract,
+                items[i].tokenId,
+                items[i].amount,
+                owner
+            );
+
+            storedItems.push(items[i]);
+        }
+    }
+
+    /**
+     * @dev Ether is escrowed and overpayment refunded, ERC20 allowance is checked again on acceptance
+     */
+    function _escrowSweetener(Swap storage swap) internal {
+        if (swap.paymentErc20TokenAddress == ZERO_ADDRESS) {
+            _requireCorrectEtherValueProvided(swap.sweetenerWithTakerFee);
+            _increaseEscrowedEther(ZERO_ADDRESS, swap.sweetenerWithTakerFee);
+        } else {
+            _requireCorrectErc20ValueProvided(
+                swap.sweetenerWithTakerFee,
+                swap.paymentErc20TokenAddress,
+                swap.maker
+            );
+        }
+
+        _refundEtherOverpayment(
+            swap.maker,
+            swap.sweetenerWithTakerFee,
+            swap.paymentErc20TokenAddress
+        );
+    }
+
+    /**
+     * @dev Sweetener is a payment for taker items, so royalties of those items are paid from it
+     */
+    function _paySweetener(Swap memory swap)
+        internal
+        returns (uint256 totalCut)
+    {
+        (uint256 makerCut, ) = _calculateMakerAndTakerCuts(
+            ZERO_ADDRESS,
+            swap.taker,
+            swap.maker,
+            swap.sweetener
+        );
+
+        totalCut = makerCut + swap.sweetenerWithTakerFee - swap.sweetener;
+
+        (
+            address[] memory royaltiesRecipients,
+            uint256[] memory royaltiesCuts
+        ) = _calculateSweetenerRoyalties(swap.takerItems, swap.sweetener);
+
+        _decreaseEscrowedEther(
+            swap.paymentErc20TokenAddress,
+            swap.sweetenerWithTakerFee
+        );
+
+        _distributeFunds(
+            swap.sweetener,
+            makerCut,
+            totalCut,
+            royaltiesCuts,
+            royaltiesRecipients,
+            swap.taker,
+            swap.maker,
+            swap.paymentErc20TokenAddress
+        );
+    }
+
+    /**
+     * @dev Each taker item is priced with equal part of the sweetener,
+     * last item gets the remainder of the division
+     */
+    function _calculateSweetenerRoyalties(
+        SwapItem[] memory takerItems,
+        uint256 sweetener
+    )
+        internal
+        view
+        returns (
+            address[] memory royaltiesRecipients,
+            uint256[] memory royaltiesCuts
+        )
+    {
+        address[][] memory itemsRecipients = new address[][](takerItems.length);
+        uint256[][] memory itemsCuts = new uint256[][](takerItems.length);
+
+        uint256 itemPrice = sweetener / takerItems.length;
+        uint256 recipientsCount;
+
+        for (uint256 i = 0; i < takerItems.length; i++) {
+            if (i == takerItems.length - 1) {
+                itemPrice = sweetener - itemPrice * (takerItems.length - 1);
+            }
+
+            (itemsRecipients[i], itemsCuts[i]) = royaltiesProvider
+                .calculateRoyaltiesAndGetRecipients(
+                    takerItems[i].nftContract,
+                    takerItems[i].tokenId,
+                    itemPrice
+                );
+
+            recipientsCount += itemsRecipients[i].length;
+        }
+
+        royaltiesRecipients = new address[](recipientsCount);
+        royaltiesCuts = new uint256[](recipientsCount);
+
+        uint256 index;
+        for (uint256 i = 0; i < takerItems.length; i++) {
+            for (uint256 j = 0; j < itemsRecipients[i].length; j++) {
+                royaltiesRecipients[index] = itemsRecipients[i][j];
+                royaltiesCuts[index] = itemsCuts[i][j];
+                index++;
+            }
+        }
+    }
+
+    function _transferSwapItems(
+        SwapItem[] memory items,
+        address from,
+        address to
+    ) internal {
+        for (uint256 i = 0; i < items.length; i++) {
+            _transferNFT(
+                from,
+                to,
+                items[i].nftContract,
+                items[i].tokenId,
+                items[i].amount,
+                items[i].assetClass
+            );
+        }
+    }
+}
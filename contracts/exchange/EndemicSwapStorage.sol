@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+
+import "./EndemicExchangeCore.sol";
+
+abstract contract EndemicSwapStorage is
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EndemicExchangeCore
+{
+    uint256 internal lastSwapId;
+
+    mapping(uint256 => Swap) internal swapsById;
+
+    struct SwapItem {
+        address nftContract;
+        uint256 tokenId;
+        uint256 amount;
+        bytes4 assetClass;
+    }
+
+    /// @dev Sweetener is paid by maker to taker, ether sweetener is escrowed together with taker fee
+    struct Swap {
+        uint256 id;
+        address maker;
+        address taker;
+        address paymentErc20TokenAddress;
+        uint256 sweetener;
+        uint256 sweetenerWithTakerFee;
+        uint256 expiresAt;
+        SwapItem[] makerItems;
+        SwapItem[] takerItems;
+    }
+
+    uint256[998] private __gap;
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "../EndemicExchangeStorage.sol";
+import "../EndemicBundleAuction.sol";
+import "../EndemicSwap.sol";
+
+/// @dev Trades of multiple tokens at once
+contract EndemicBundleExtension is
+    EndemicExchangeStorage,
+    EndemicBundleAuction,
+    EndemicSwap
+{
+
+}
@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.15;
+
+import "../EndemicExchangeStorage.sol";
+import "../EndemicOffer.sol";
+
+contract EndemicOfferExtension is EndemicExchangeStorage, EndemicOffer {}
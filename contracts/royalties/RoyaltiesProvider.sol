@@ -17,6 +17,9 @@ contract RoyaltiesProvider is OwnableUpgradeable {
     mapping(address => mapping(uint256 => Royalties)) royaltiesPerTokenId;
     mapping(address => Royalties) royaltiesPerCollection;
 
+    mapping(address => mapping(uint256 => Royalties[])) royaltySplitsPerTokenId;
+    mapping(address => Royalties[]) royaltySplitsPerCollection;
+
     event NewRoyaltiesLimit(uint256 limit);
 
     event RoyaltiesSetForToken(
@@ -32,6 +35,19 @@ contract RoyaltiesProvider is OwnableUpgradeable {
         uint256 fee
     );
 
+    event RoyaltySplitsSetForToken(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address[] feeRecipients,
+        uint256[] fees
+    );
+
+    event RoyaltySplitsSetForCollection(
+        address indexed nftContract,
+        address[] feeRecipients,
+        uint256[] fees
+    );
+
     struct Royalties {
         address account;
         uint256 fee;
@@ -48,11 +64,55 @@ contract RoyaltiesProvider is OwnableUpgradeable {
         setRoyaltiesLimit(royaltiesLimit);
     }
 
+    /**
+     * @notice Returns royalty recipients and their cuts of `amount`
+     * @dev Token royalties take precedence over collection royalties
+     */
+    function calculateRoyaltiesAndGetRecipients(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount
+    ) external view returns (address[] memory, uint256[] memory) {
+        Royalties[] memory splits = royaltySplitsPerTokenId[nftContract][
+            tokenId
+        ];
+
+        if (
+            splits.length == 0 &&
+            royaltiesPerTokenId[nftContract][tokenId].account == address(0)
+        ) {
+            splits = royaltySplitsPerCollection[nftContract];
+        }
+
+        if (splits.length == 0) {
+            (
+                address account,
+                uint256 royaltiesAmount
+            ) = calculateRoyaltiesAndGetRecipient(nftContract, tokenId, amount);
+
+            if (account == address(0) || royaltiesAmount == 0) {
+                return (new address[](0), new uint256[](0));
+            }
+
+            splits = new Royalties[](1);
+            splits[0] = Royalties(account, royaltiesAmount);
+
+            return unzipRoyalties(splits);
+        }
+
+        for (uint256 i = 0; i < splits.length; i++) {
+            splits[i].fee = calculateFeeForAmount(amount, splits[i].fee);
+        }
+
+        return unzipRoyalties(splits);
+    }
+
+    /// @dev Doesn't include royalty splits, use `calculateRoyaltiesAndGetRecipients` for them
     function calculateRoyaltiesAndGetRecipient(
         address nftContract,
         uint256 tokenId,
         uint256 amount
-    ) external view returns (address, uint256) {
+    ) public view returns (address, uint256) {
         Royalties memory royaltiesForToken = royaltiesPerTokenId[nftContract][
             tokenId
         ];
@@ -95,6 +155,7 @@ contract RoyaltiesProvider is OwnableUpgradeable {
 
         checkOwner(nftContract);
 
+        delete royaltySplitsPerTokenId[nftContract][tokenId];
         royaltiesPerTokenId[nftContract][tokenId] = Royalties(
             feeRecipient,
             fee
@@ -112,11 +173,64 @@ contract RoyaltiesProvider is OwnableUpgradeable {
 
         checkOwner(nftContract);
 
+        delete royaltySplitsPerCollection[nftContract];
         royaltiesPerCollection[nftContract] = Royalties(feeRecipient, fee);
 
         emit RoyaltiesSetForCollection(nftContract, feeRecipient, fee);
     }
 
+    /**
+     * @notice Divides token royalties between multiple recipients
+     * @dev Fees are in basis points of the sale price and their sum is limited by royaltyFeeLimit
+     */
+    function setRoyaltySplitsForToken(
+        address nftContract,
+        uint256 tokenId,
+        address[] calldata feeRecipients,
+        uint256[] calldata fees
+    ) external {
+        checkOwner(nftContract);
+
+        delete royaltiesPerTokenId[nftContract][tokenId];
+        delete royaltySplitsPerTokenId[nftContract][tokenId];
+
+        storeRoyaltySplits(
+            royaltySplitsPerTokenId[nftContract][tokenId],
+            feeRecipients,
+            fees
+        );
+
+        emit RoyaltySplitsSetForToken(
+            nftContract,
+            tokenId,
+            feeRecipients,
+            fees
+        );
+    }
+
+    /**
+     * @notice Divides collection royalties between multiple recipients
+     * @dev Fees are in basis points of the sale price and their sum is limited by royaltyFeeLimit
+     */
+    function setRoyaltySplitsForCollection(
+        address nftContract,
+        address[] calldata feeRecipients,
+        uint256[] calldata fees
+    ) external {
+        checkOwner(nftContract);
+
+        delete royaltiesPerCollection[nftContract];
+        delete royaltySplitsPerCollection[nftContract];
+
+        storeRoyaltySplits(
+            royaltySplitsPerCollection[nftContract],
+            feeRecipients,
+            fees
+        );
+
+        emit RoyaltySplitsSetForCollection(nftContract, feeRecipients, fees);
+    }
+
     function setRoyaltiesLimit(uint256 newLimit) public onlyOwner {
         require(newLimit <= 9500, "Royalty fee limit too high");
         royaltyFeeLimit = newLimit;
@@ -132,6 +246,42 @@ contract RoyaltiesProvider is OwnableUpgradeable {
         }
     }
 
+    function storeRoyaltySplits(
+        Royalties[] storage splits,
+        address[] calldata feeRecipients,
+        uint256[] calldata fees
+    ) internal {
+        require(feeRecipients.length == fees.length, "Invalid royalty splits");
+
+        uint256 totalFee;
+
+        for (uint256 i = 0; i < feeRecipients.length; i++) {
+            require(
+                feeRecipients[i] != address(0) && fees[i] > 0,
+                "Invalid royalty splits"
+            );
+
+            totalFee += fees[i];
+            splits.push(Royalties(feeRecipients[i], fees[i]));
+        }
+
+        require(totalFee <= royaltyFeeLimit, "Royalties over the limit");
+    }
+
+    function unzipRoyalties(Royalties[] memory royalties)
+        internal
+        pure
+        returns (address[] memory recipients, uint256[] memory fees)
+    {
+        recipients = new address[](royalties.length);
+        fees = new uint256[](royalties.length);
+
+        for (uint256 i = 0; i < royalties.length; i++) {
+            recipients[i] = royalties[i].account;
+            fees[i] = royalties[i].fee;
+        }
+    }
+
     function calculateFeeForAmount(uint256 amount, uint256 fee)
         internal
         pure
@@ -7,4 +7,10 @@ interface IRoyaltiesProvider {
         uint256 tokenId,
         uint256 amount
     ) external view returns (address, uint256);
+
+    function calculateRoyaltiesAndGetRecipients(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount
+    ) external view returns (address[] memory, uint256[] memory);
 }
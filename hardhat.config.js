@@ -53,4 +53,9 @@ module.exports = {
   etherscan: {
     apiKey: process.env.ETHERSCAN_API_KEY,
   },
+  contractSizer: {
+    // Contracts exceeding the mainnet size limit fail compilation
+    runOnCompile: true,
+    strict: true,
+  },
 };
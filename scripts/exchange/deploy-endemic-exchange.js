@@ -1,5 +1,8 @@
 const { ethers, upgrades, network } = require('hardhat');
 const { getForNetwork } = require('../utils/addresses');
+const {
+  deployEndemicExchangeExtensions,
+} = require('../utils/exchange-extensions');
 
 async function main() {
   const [deployer] = await ethers.getSigners();
@@ -23,6 +26,12 @@ async function main() {
   );
   await endemicExchange.deployed();
 
+  const extensions = await deployEndemicExchangeExtensions(
+    endemicExchange.address
+  );
+  const tx = await endemicExchange.updateExtensions(...extensions);
+  await tx.wait();
+
   console.log('EndemicExchange deployed to:', endemicExchange.address);
 }
 
@@ -1,14 +1,68 @@
 const { ethers, network, upgrades } = require('hardhat');
 const { getForNetwork } = require('../utils/addresses');
+const {
+  deployEndemicExchangeExtensions,
+} = require('../utils/exchange-extensions');
+
+// Exchange calculates royalties with royalty splits, so royalties provider is upgraded first
+const requireRoyaltySplitsSupport = async (endemicExchangeProxy) => {
+  const EndemicExchange = await ethers.getContractFactory('EndemicExchange');
+  const royaltiesProviderProxy = await EndemicExchange.attach(
+    endemicExchangeProxy
+  ).royaltiesProvider();
+
+  const RoyaltiesProvider = await ethers.getContractFactory(
+    'RoyaltiesProvider'
+  );
+  const selector = RoyaltiesProvider.interface.getSighash(
+    'calculateRoyaltiesAndGetRecipients'
+  );
+  const code = await ethers.provider.getCode(
+    await upgrades.erc1967.getImplementationAddress(royaltiesProviderProxy)
+  );
+
+  if (!code.includes(selector.slice(2))) {
+    throw new Error('Upgrade RoyaltiesProvider before EndemicExchange');
+  }
+};
 
 async function main() {
   const [deployer] = await ethers.getSigners();
   const { endemicExchangeProxy } = getForNetwork(network.name);
 
+  await requireRoyaltySplitsSupport(endemicExchangeProxy);
+
+  // Ether held for active offers and highest bids of English auctions, computed off-chain
+  const totalEscrowedEther = ethers.utils.parseUnits(
+    process.env.ESCROWED_ETHER
+  );
+
+  const extensions = await deployEndemicExchangeExtensions(
+    endemicExchangeProxy
+  );
+
   const EndemicExchange = await ethers.getContractFactory('EndemicExchange');
-  await upgrades.upgradeProxy(endemicExchangeProxy, EndemicExchange, {
-    deployer,
-  });
+  const endemicExchange = await upgrades.upgradeProxy(
+    endemicExchangeProxy,
+    EndemicExchange,
+    {
+      deployer,
+      // Functions moved to extensions are routed in the upgrade transaction
+      call: { fn: 'updateExtensions', args: extensions },
+    }
+  );
+
+  // Offers and bids can't change escrowed ether while paused
+  let tx = await endemicExchange.pause();
+  await tx.wait();
+
+  tx = await endemicExchange.__EndemicExchange_initEscrowedEther(
+    totalEscrowedEther
+  );
+  await tx.wait();
+
+  tx = await endemicExchange.unpause();
+  await tx.wait();
 }
 
 main()
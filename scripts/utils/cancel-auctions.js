@@ -1,4 +1,4 @@
-const { ethers } = require('hardhat');
+const { attachEndemicExchange } = require('./exchange-extensions');
 
 async function main() {
   const endemicExchangeAddress = '0x45b87060571e9d372c0762497b6893374f3638Ee';
@@ -8,8 +8,7 @@ async function main() {
     },
   ];
 
-  const EndemicExchange = await ethers.getContractFactory('EndemicExchange');
-  const endemicExchange = await EndemicExchange.attach(endemicExchangeAddress);
+  const endemicExchange = await attachEndemicExchange(endemicExchangeAddress);
 
   const claimTx = await endemicExchange.claimETH();
   await claimTx.wait();
@@ -0,0 +1,67 @@
+const { ethers, upgrades } = require('hardhat');
+
+// Contracts implementing exchange functions that don't fit into EndemicExchange
+const EXTENSIONS = [
+  'EndemicAuctionExtension',
+  'EndemicOfferExtension',
+  'EndemicBundleExtension',
+];
+
+const getEndemicExchangeAbi = async () => {
+  const interfaces = await Promise.all(
+    ['EndemicExchange', ...EXTENSIONS].map(
+      async (name) => (await ethers.getContractFactory(name)).interface
+    )
+  );
+
+  // Extensions share storage getters and events with the exchange
+  const fragments = {};
+  interfaces.forEach((contractInterface) =>
+    contractInterface.fragments.forEach((fragment) => {
+      fragments[fragment.format()] = fragment;
+    })
+  );
+
+  return Object.values(fragments);
+};
+
+/**
+ * Deploys extensions of the exchange and returns arguments of `updateExtensions` routing calls to them.
+ * Extensions are deployed as upgrades of the exchange, so they are validated to be upgrade safe
+ * and to keep storage layout of the exchange
+ */
+const deployEndemicExchangeExtensions = async (endemicExchangeAddress) => {
+  const EndemicExchange = await ethers.getContractFactory('EndemicExchange');
+
+  const extensions = [];
+  const selectors = [];
+
+  for (const name of EXTENSIONS) {
+    const Extension = await ethers.getContractFactory(name);
+
+    extensions.push(
+      await upgrades.prepareUpgrade(endemicExchangeAddress, Extension)
+    );
+    selectors.push(
+      Object.keys(Extension.interface.functions)
+        .filter((signature) => !EndemicExchange.interface.functions[signature])
+        .map((signature) => Extension.interface.getSighash(signature))
+    );
+  }
+
+  return [extensions, selectors];
+};
+
+/**
+ * Returns exchange with functions of the extensions
+ */
+const attachEndemicExchange = async (endemicExchangeAddress, signer) =>
+  new ethers.Contract(
+    endemicExchangeAddress,
+    await getEndemicExchangeAbi(),
+    signer || (await ethers.getSigners())[0]
+  );
+
+exports.EXTENSIONS = EXTENSIONS;
+exports.deployEndemicExchangeExtensions = deployEndemicExchangeExtensions;
+exports.attachEndemicExchange = attachEndemicExchange;
@@ -204,6 +204,141 @@ describe('RoyaltiesProvider', function () {
     });
   });
 
+  describe('Setting royalty splits', () => {
+    let recipients, fees;
+
+    beforeEach(deploy);
+
+    it('should set splits for collection', async () => {
+      await expect(
+        royaltiesProviderContract
+          .connect(nftContractOwner)
+          .setRoyaltySplitsForCollection(
+            nftContract.address,
+            [feeRecipient.address, feeRecipient2.address],
+            [700, 300]
+          )
+      ).to.emit(royaltiesProviderContract, 'RoyaltySplitsSetForCollection');
+
+      [recipients, fees] =
+        await royaltiesProviderContract.calculateRoyaltiesAndGetRecipients(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('1')
+        );
+
+      expect(recipients).to.deep.equal([
+        feeRecipient.address,
+        feeRecipient2.address,
+      ]);
+      expect(fees[0]).to.equal(ethers.utils.parseUnits('0.07'));
+      expect(fees[1]).to.equal(ethers.utils.parseUnits('0.03'));
+    });
+
+    it('should use token splits over collection royalties', async () => {
+      await royaltiesProviderContract.setRoyaltiesForCollection(
+        nftContract.address,
+        feeRecipient.address,
+        1000
+      );
+
+      await royaltiesProviderContract.setRoyaltySplitsForToken(
+        nftContract.address,
+        1,
+        [feeRecipient2.address, user2.address],
+        [500, 500]
+      );
+
+      [recipients, fees] =
+        await royaltiesProviderContract.calculateRoyaltiesAndGetRecipients(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('1')
+        );
+
+      expect(recipients).to.deep.equal([feeRecipient2.address, user2.address]);
+      expect(fees[0]).to.equal(ethers.utils.parseUnits('0.05'));
+      expect(fees[1]).to.equal(ethers.utils.parseUnits('0.05'));
+
+      [recipients, fees] =
+        await royaltiesProviderContract.calculateRoyaltiesAndGetRecipients(
+          nftContract.address,
+          2,
+          ethers.utils.parseUnits('1')
+        );
+
+      expect(recipients).to.deep.equal([feeRecipient.address]);
+      expect(fees[0]).to.equal(ethers.utils.parseUnits('0.1'));
+    });
+
+    it('should replace splits with single royalties', async () => {
+      await royaltiesProviderContract.setRoyaltySplitsForToken(
+        nftContract.address,
+        1,
+        [feeRecipient2.address, user2.address],
+        [500, 500]
+      );
+
+      await royaltiesProviderContract.setRoyaltiesForToken(
+        nftContract.address,
+        1,
+        feeRecipient.address,
+        1000
+      );
+
+      [recipients, fees] =
+        await royaltiesProviderContract.calculateRoyaltiesAndGetRecipients(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('1')
+        );
+
+      expect(recipients).to.deep.equal([feeRecipient.address]);
+      expect(fees[0]).to.equal(ethers.utils.parseUnits('0.1'));
+    });
+
+    it('should not be able to set splits over the limit', async () => {
+      await expect(
+        royaltiesProviderContract.setRoyaltySplitsForCollection(
+          nftContract.address,
+          [feeRecipient.address, feeRecipient2.address],
+          [3000, 2100]
+        )
+      ).to.be.revertedWith('Royalties over the limit');
+    });
+
+    it('should not be able to set invalid splits', async () => {
+      await expect(
+        royaltiesProviderContract.setRoyaltySplitsForCollection(
+          nftContract.address,
+          [feeRecipient.address, feeRecipient2.address],
+          [1000]
+        )
+      ).to.be.revertedWith('Invalid royalty splits');
+
+      await expect(
+        royaltiesProviderContract.setRoyaltySplitsForCollection(
+          nftContract.address,
+          [feeRecipient.address, ethers.constants.AddressZero],
+          [1000, 1000]
+        )
+      ).to.be.revertedWith('Invalid royalty splits');
+    });
+
+    it('should fail to set if caller is not royalties owner or contract owner', async () => {
+      await expect(
+        royaltiesProviderContract
+          .connect(user2)
+          .setRoyaltySplitsForToken(
+            nftContract.address,
+            1,
+            [feeRecipient.address],
+            [1000]
+          )
+      ).to.be.revertedWith('InvalidOwner');
+    });
+  });
+
   describe('ERC2981', function () {
     it('should support ERC2981 royalties', () => {});
 
@@ -1,7 +1,15 @@
 const { expect } = require('chai');
-const { ethers } = require('hardhat');
-const { deployEndemicExchangeWithDeps } = require('../helpers/deploy');
-const { FEE_RECIPIENT } = require('../helpers/constants');
+const { ethers, network } = require('hardhat');
+const {
+  deployEndemicExchangeWithDeps,
+  deployEndemicToken,
+  deployEndemicCollectionWithFactory,
+} = require('../helpers/deploy');
+const { FEE_RECIPIENT, ZERO_ADDRESS } = require('../helpers/constants');
+const { ERC721_ASSET_CLASS } = require('../helpers/ids');
+
+const EXCHANGE_PAUSED = 'ExchangePaused';
+const EXCHANGE_NOT_PAUSED = 'ExchangeNotPaused';
 
 describe('EndemicExchange', () => {
   let endemicExchange, royaltiesProviderContract;
@@ -49,5 +57,562 @@ describe('EndemicExchange', () => {
         contractAddress3.address
       );
     });
+
+    it('should update auction extension when owner', async () => {
+      await endemicExchange.updateAuctionExtension(300, 600);
+
+      expect(await endemicExchange.auctionExtensionWindow()).to.equal('300');
+      expect(await endemicExchange.auctionExtensionDuration()).to.equal('600');
+    });
+
+    it('should fail to update auction extension when not owner', async () => {
+      await expect(
+        endemicExchange
+          .connect(contractAddress2)
+          .updateAuctionExtension(300, 600)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+    });
+
+    it('should update fee overrides when owner', async () => {
+      await expect(
+        endemicExchange.updateCollectionFees(
+          contractAddress2.address,
+          0,
+          100,
+          true
+        )
+      )
+        .to.emit(endemicExchange, 'CollectionFeesUpdated')
+        .withArgs(contractAddress2.address, 0, 100, true);
+
+      let [makerFee, takerFee] = await endemicExchange.getEffectiveFees(
+        contractAddress2.address,
+        contractAddress3.address,
+        ZERO_ADDRESS
+      );
+      expect(makerFee).to.equal('0');
+      expect(takerFee).to.equal('100');
+
+      await expect(
+        endemicExchange.updateSellerFees(contractAddress3.address, 50, 50, true)
+      )
+        .to.emit(endemicExchange, 'SellerFeesUpdated')
+        .withArgs(contractAddress3.address, 50, 50, true);
+
+      [makerFee, takerFee] = await endemicExchange.getEffectiveFees(
+        contractAddress2.address,
+        contractAddress3.address,
+        ZERO_ADDRESS
+      );
+      expect(makerFee).to.equal('50');
+      expect(takerFee).to.equal('50');
+
+      await endemicExchange.updateSellerFees(
+        contractAddress3.address,
+        50,
+        50,
+        false
+      );
+      await endemicExchange.updateCollectionFees(
+        contractAddress2.address,
+        0,
+        100,
+        false
+      );
+
+      [makerFee, takerFee] = await endemicExchange.getEffectiveFees(
+        contractAddress2.address,
+        contractAddress3.address,
+        ZERO_ADDRESS
+      );
+      expect(makerFee).to.equal('250');
+      expect(takerFee).to.equal('300');
+    });
+
+    it('should fail to update fee overrides with invalid fees', async () => {
+      await expect(
+        endemicExchange.updateCollectionFees(
+          contractAddress2.address,
+          10000,
+          0,
+          true
+        )
+      ).to.be.revertedWith('InvalidFees');
+    });
+
+    it('should fail to update fee overrides when not owner', async () => {
+      await expect(
+        endemicExchange
+          .connect(contractAddress2)
+          .updateCollectionFees(contractAddress2.address, 0, 0, true)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+
+      await expect(
+        endemicExchange
+          .connect(contractAddress2)
+          .updateSellerFees(contractAddress2.address, 0, 0, true)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+    });
+
+    it('should update fee discount tiers when owner', async () => {
+      const endemicToken = await deployEndemicToken(owner);
+
+      await endemicToken.transfer(
+        contractAddress2.address,
+        ethers.utils.parseUnits('100')
+      );
+
+      await expect(
+        endemicExchange.updateFeeDiscountTiers(
+          endemicToken.address,
+          [ethers.utils.parseUnits('100'), ethers.utils.parseUnits('1000')],
+          [2000, 5000]
+        )
+      ).to.emit(endemicExchange, 'FeeDiscountTiersUpdated');
+
+      // Holding tokens without staking them gives no discount
+      let [makerFee, takerFee] = await endemicExchange.previewDiscountedFees(
+        owner.address
+      );
+      expect(makerFee).to.equal('250');
+      expect(takerFee).to.equal('300');
+
+      await endemicToken
+        .connect(contractAddress2)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('100'));
+      await endemicExchange
+        .connect(contractAddress2)
+        .stakeForFeeDiscount(ethers.utils.parseUnits('100'));
+
+      await endemicToken.approve(
+        endemicExchange.address,
+        ethers.utils.parseUnits('1000')
+      );
+      await endemicExchange.stakeForFeeDiscount(
+        ethers.utils.parseUnits('1000')
+      );
+
+      [makerFee, takerFee] = await endemicExchange.previewDiscountedFees(
+        contractAddress2.address
+      );
+      expect(makerFee).to.equal('200');
+      expect(takerFee).to.equal('240');
+
+      [makerFee, takerFee] = await endemicExchange.previewDiscountedFees(
+        owner.address
+      );
+      expect(makerFee).to.equal('125');
+      expect(takerFee).to.equal('150');
+
+      [makerFee, takerFee] = await endemicExchange.previewDiscountedFees(
+        contractAddress3.address
+      );
+      expect(makerFee).to.equal('250');
+      expect(takerFee).to.equal('300');
+
+      // Maker fee is discounted for seller and taker fee for buyer
+      [makerFee, takerFee] = await endemicExchange.getEffectiveFees(
+        contractAddress3.address,
+        owner.address,
+        contractAddress2.address
+      );
+      expect(makerFee).to.equal('125');
+      expect(takerFee).to.equal('240');
+    });
+
+    it('should fail to update fee discount tiers with invalid tiers', async () => {
+      await expect(
+        endemicExchange.updateFeeDiscountTiers(
+          contractAddress2.address,
+          [1000, 100],
+          [2000, 5000]
+        )
+      ).to.be.revertedWith('InvalidAmount');
+
+      await expect(
+        endemicExchange.updateFeeDiscountTiers(
+          contractAddress2.address,
+          [100],
+          [5001]
+        )
+      ).to.be.revertedWith('InvalidFees');
+
+      await expect(
+        endemicExchange.updateFeeDiscountTiers(ZERO_ADDRESS, [100], [1000])
+      ).to.be.revertedWith('InvalidAddress');
+    });
+
+    it('should stake for fee discount and unstake after lock', async () => {
+      const endemicToken = await deployEndemicToken(owner);
+
+      await expect(
+        endemicExchange.stakeForFeeDiscount(ethers.utils.parseUnits('100'))
+      ).to.be.revertedWith('InvalidAddress');
+
+      await endemicExchange.updateFeeDiscountTiers(
+        endemicToken.address,
+        [ethers.utils.parseUnits('100')],
+        [5000]
+      );
+
+      await endemicToken.approve(
+        endemicExchange.address,
+        ethers.utils.parseUnits('100')
+      );
+
+      await expect(
+        endemicExchange.stakeForFeeDiscount(ethers.utils.parseUnits('100'))
+      ).to.emit(endemicExchange, 'FeeDiscountStaked');
+
+      const stake = await endemicExchange.getFeeDiscountStake(owner.address);
+      expect(stake.amount).to.equal(ethers.utils.parseUnits('100'));
+      expect(await endemicToken.balanceOf(endemicExchange.address)).to.equal(
+        ethers.utils.parseUnits('100')
+      );
+
+      // Staked token can't be changed while tokens are staked
+      await expect(
+        endemicExchange.updateFeeDiscountTiers(
+          contractAddress2.address,
+          [100],
+          [1000]
+        )
+      ).to.be.revertedWith('InvalidAddress');
+
+      await expect(
+        endemicExchange.unstakeFromFeeDiscount(ethers.utils.parseUnits('100'))
+      ).to.be.revertedWith('StakeLocked');
+
+      await network.provider.send('evm_increaseTime', [7 * 24 * 3600]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange.unstakeFromFeeDiscount(ethers.utils.parseUnits('101'))
+      ).to.be.revertedWith('InvalidAmount');
+
+      await expect(
+        endemicExchange.unstakeFromFeeDiscount(ethers.utils.parseUnits('100'))
+      )
+        .to.emit(endemicExchange, 'FeeDiscountUnstaked')
+        .withArgs(owner.address, ethers.utils.parseUnits('100'));
+
+      const [makerFee, takerFee] = await endemicExchange.previewDiscountedFees(
+        owner.address
+      );
+      expect(makerFee).to.equal('250');
+      expect(takerFee).to.equal('300');
+    });
+
+    it('should fail to update fee discount tiers when not owner', async () => {
+      await expect(
+        endemicExchange
+          .connect(contractAddress2)
+          .updateFeeDiscountTiers(contractAddress2.address, [100], [1000])
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+    });
+
+    it('should sweep stuck ether when owner', async () => {
+      await network.provider.send('hardhat_setBalance', [
+        endemicExchange.address,
+        ethers.utils.hexValue(ethers.utils.parseUnits('1')),
+      ]);
+
+      const balance1 = await contractAddress2.getBalance();
+
+      await expect(
+        endemicExchange.sweepEther(
+          contractAddress2.address,
+          ethers.utils.parseUnits('0.4')
+        )
+      )
+        .to.emit(endemicExchange, 'EtherSwept')
+        .withArgs(contractAddress2.address, ethers.utils.parseUnits('0.4'));
+
+      const balance2 = await contractAddress2.getBalance();
+      expect(balance2.sub(balance1)).to.equal(ethers.utils.parseUnits('0.4'));
+      expect(
+        await ethers.provider.getBalance(endemicExchange.address)
+      ).to.equal(ethers.utils.parseUnits('0.6'));
+    });
+
+    it('should fail to sweep ether when not owner', async () => {
+      await expect(
+        endemicExchange
+          .connect(contractAddress2)
+          .sweepEther(contractAddress2.address, 1)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+    });
+  });
+
+  describe('Pause', function () {
+    let nftContract, auctionId;
+
+    beforeEach(async function () {
+      await deploy();
+
+      nftContract = (await deployEndemicCollectionWithFactory()).nftContract;
+
+      await nftContract.mint(
+        contractAddress2.address,
+        'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+      );
+      await nftContract.mint(
+        contractAddress2.address,
+        'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+      );
+      await nftContract
+        .connect(contractAddress2)
+        .setApprovalForAll(endemicExchange.address, true);
+
+      await endemicExchange
+        .connect(contractAddress2)
+        .createEnglishAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('1'),
+          120,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      auctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        contractAddress2.address
+      );
+    });
+
+    it('should block trading when paused', async () => {
+      await expect(endemicExchange.pause())
+        .to.emit(endemicExchange, 'PauseUpdated')
+        .withArgs(true);
+
+      await expect(
+        endemicExchange
+          .connect(contractAddress3)
+          .placeBid(auctionId, ethers.utils.parseUnits('1'), {
+            value: ethers.utils.parseUnits('1.03'),
+          })
+      ).to.be.revertedWith(EXCHANGE_PAUSED);
+
+      await expect(
+        endemicExchange
+          .connect(contractAddress2)
+          .createAuction(
+            nftContract.address,
+            2,
+            ethers.utils.parseUnits('1'),
+            ethers.utils.parseUnits('1'),
+            120,
+            1,
+            ZERO_ADDRESS,
+            ERC721_ASSET_CLASS
+          )
+      ).to.be.revertedWith(EXCHANGE_PAUSED);
+
+      await expect(
+        endemicExchange.placeOffer(nftContract.address, 2, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        })
+      ).to.be.revertedWith(EXCHANGE_PAUSED);
+
+      await expect(
+        endemicExchange.connect(contractAddress2).cancelAuction(auctionId)
+      ).to.be.revertedWith(EXCHANGE_PAUSED);
+
+      await endemicExchange.unpause();
+
+      await endemicExchange
+        .connect(contractAddress3)
+        .placeBid(auctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+    });
+
+    it('should allow exits in emergency mode', async () => {
+      await endemicExchange
+        .connect(contractAddress3)
+        .placeOffer(nftContract.address, 2, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await expect(
+        endemicExchange.updateEmergencyMode(true)
+      ).to.be.revertedWith(EXCHANGE_NOT_PAUSED);
+
+      await endemicExchange.pause();
+
+      await expect(endemicExchange.updateEmergencyMode(true))
+        .to.emit(endemicExchange, 'EmergencyModeUpdated')
+        .withArgs(true);
+
+      await expect(
+        endemicExchange.connect(contractAddress2).cancelAuction(auctionId)
+      ).to.emit(endemicExchange, 'AuctionCancelled');
+
+      await expect(
+        endemicExchange.connect(contractAddress3).cancelOffer(1)
+      ).to.emit(endemicExchange, 'OfferCancelled');
+
+      await expect(
+        endemicExchange.connect(contractAddress2).acceptOffer(1)
+      ).to.be.revertedWith(EXCHANGE_PAUSED);
+
+      await expect(endemicExchange.unpause())
+        .to.emit(endemicExchange, 'EmergencyModeUpdated')
+        .withArgs(false);
+
+      expect(await endemicExchange.emergencyMode()).to.equal(false);
+    });
+
+    it('should cancel auction with refund when paused', async () => {
+      await endemicExchange
+        .connect(contractAddress3)
+        .placeBid(auctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await expect(
+        endemicExchange.cancelAuctionWhenPaused(auctionId)
+      ).to.be.revertedWith(EXCHANGE_NOT_PAUSED);
+
+      await endemicExchange.pause();
+
+      const balance1 = await contractAddress3.getBalance();
+
+      await expect(endemicExchange.cancelAuctionWhenPaused(auctionId))
+        .to.emit(endemicExchange, 'AuctionCancelled')
+        .withArgs(auctionId);
+
+      const balance2 = await contractAddress3.getBalance();
+      expect(balance2.sub(balance1)).to.equal(ethers.utils.parseUnits('1.03'));
+
+      await expect(
+        endemicExchange.cancelAuctionWhenPaused(auctionId)
+      ).to.be.revertedWith('InvalidAuction');
+    });
+
+    it('should let highest bidder cancel ended auction in emergency mode', async () => {
+      await endemicExchange
+        .connect(contractAddress3)
+        .placeBid(auctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await endemicExchange.pause();
+
+      await expect(
+        endemicExchange.connect(contractAddress3).cancelAuction(auctionId)
+      ).to.be.revertedWith(EXCHANGE_PAUSED);
+
+      await endemicExchange.updateEmergencyMode(true);
+
+      await expect(
+        endemicExchange.connect(contractAddress3).cancelAuction(auctionId)
+      ).to.be.revertedWith('Unauthorized');
+
+      await expect(
+        endemicExchange.connect(contractAddress2).cancelAuction(auctionId)
+      ).to.be.revertedWith('AuctionInProgress');
+
+      await network.provider.send('evm_increaseTime', [121]);
+      await network.provider.send('evm_mine');
+
+      await expect(endemicExchange.cancelAuction(auctionId)).to.be.revertedWith(
+        'Unauthorized'
+      );
+
+      await expect(
+        endemicExchange.connect(contractAddress3).cancelAuction(auctionId)
+      )
+        .to.emit(endemicExchange, 'AuctionCancelled')
+        .withArgs(auctionId);
+
+      expect(
+        await ethers.provider.getBalance(endemicExchange.address)
+      ).to.equal('0');
+
+      const highestBid = await endemicExchange.getHighestBid(auctionId);
+      expect(highestBid.bidder).to.equal(ZERO_ADDRESS);
+    });
+
+    it('should claim only stranded ether', async () => {
+      await endemicExchange
+        .connect(contractAddress3)
+        .placeBid(auctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await endemicExchange
+        .connect(contractAddress3)
+        .placeOffer(nftContract.address, 2, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await network.provider.send('hardhat_setBalance', [
+        endemicExchange.address,
+        ethers.utils.hexValue(ethers.utils.parseUnits('1.645')),
+      ]);
+
+      const feeBalance1 = await ethers.provider.getBalance(FEE_RECIPIENT);
+
+      await expect(endemicExchange.claimETH())
+        .to.emit(endemicExchange, 'EtherSwept')
+        .withArgs(FEE_RECIPIENT, ethers.utils.parseUnits('0.1'));
+
+      const feeBalance2 = await ethers.provider.getBalance(FEE_RECIPIENT);
+      expect(feeBalance2.sub(feeBalance1)).to.equal(
+        ethers.utils.parseUnits('0.1')
+      );
+
+      await expect(
+        endemicExchange.sweepEther(owner.address, 1)
+      ).to.be.revertedWith('InvalidAmount');
+    });
+
+    it('should not lock stranded ether when initializing escrow again', async () => {
+      await network.provider.send('hardhat_setBalance', [
+        endemicExchange.address,
+        ethers.utils.hexValue(ethers.utils.parseUnits('0.1')),
+      ]);
+
+      await expect(
+        endemicExchange
+          .connect(contractAddress2)
+          .__EndemicExchange_initEscrowedEther(0)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+
+      // Escrow of new exchange is tracked since deployment
+      await endemicExchange.__EndemicExchange_initEscrowedEther(
+        ethers.utils.parseUnits('0.1')
+      );
+
+      await expect(
+        endemicExchange.__EndemicExchange_initEscrowedEther(0)
+      ).to.be.revertedWith('Initializable: contract is already initialized');
+
+      await expect(endemicExchange.claimETH())
+        .to.emit(endemicExchange, 'EtherSwept')
+        .withArgs(FEE_RECIPIENT, ethers.utils.parseUnits('0.1'));
+    });
+
+    it('should fail to pause when not owner', async () => {
+      await expect(
+        endemicExchange.connect(contractAddress2).pause()
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+
+      await expect(
+        endemicExchange.connect(contractAddress2).claimETH()
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+
+      await endemicExchange.pause();
+
+      await expect(
+        endemicExchange
+          .connect(contractAddress2)
+          .cancelAuctionWhenPaused(auctionId)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+    });
   });
 });
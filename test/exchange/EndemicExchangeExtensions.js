@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const { ethers, upgrades, artifacts } = require('hardhat');
+const { deployEndemicExchangeWithDeps } = require('../helpers/deploy');
+const { ZERO_ADDRESS } = require('../helpers/constants');
+const { EXTENSIONS } = require('../../scripts/utils/exchange-extensions');
+
+const UNKNOWN_FUNCTION = 'UnknownFunction';
+const UNAUTHORIZED = 'Unauthorized';
+const INVALID_ADDRESS = 'InvalidAddress';
+const PARAMETERS_DIFF_IN_SIZE = 'ParametersDiffInSize';
+
+const EXTENSION_UPDATED = 'ExtensionUpdated';
+
+// Type ids contain AST ids, which differ between compilations
+const getStorageLayout = async (contractName) => {
+  const { sourceName } = await artifacts.readArtifact(contractName);
+  const buildInfo = await artifacts.getBuildInfo(
+    `${sourceName}:${contractName}`
+  );
+
+  return buildInfo.output.contracts[sourceName][
+    contractName
+  ].storageLayout.storage.map(({ label, slot, offset, type }) => ({
+    label,
+    slot,
+    offset,
+    type: type.replace(/\)\d+/g, ')'),
+  }));
+};
+
+describe('EndemicExchangeExtensions', function () {
+  let endemicExchange;
+
+  let owner, user2;
+
+  let selector, extension;
+
+  beforeEach(async function () {
+    [owner, user2] = await ethers.getSigners();
+
+    const result = await deployEndemicExchangeWithDeps();
+    endemicExchange = result.endemicExchangeContract;
+
+    selector = endemicExchange.interface.getSighash('updateAuctionExtension');
+    extension = await endemicExchange.getExtension(selector);
+  });
+
+  it('should keep storage layout of the exchange in extensions', async function () {
+    const exchangeLayout = await getStorageLayout('EndemicExchange');
+
+    for (const name of EXTENSIONS) {
+      expect(await getStorageLayout(name), name).to.deep.equal(exchangeLayout);
+    }
+  });
+
+  it('should route calls to extensions', async function () {
+    expect(extension).to.not.equal(ZERO_ADDRESS);
+
+    await endemicExchange.updateAuctionExtension(300, 600);
+
+    expect(await endemicExchange.auctionExtensionWindow()).to.equal('300');
+  });
+
+  it('should update extensions when owner', async function () {
+    await expect(endemicExchange.updateExtensions([ZERO_ADDRESS], [[selector]]))
+      .to.emit(endemicExchange, EXTENSION_UPDATED)
+      .withArgs(selector, ZERO_ADDRESS);
+
+    await expect(
+      endemicExchange.updateAuctionExtension(300, 600)
+    ).to.be.revertedWith(UNKNOWN_FUNCTION);
+
+    await expect(endemicExchange.updateExtensions([extension], [[selector]]))
+      .to.emit(endemicExchange, EXTENSION_UPDATED)
+      .withArgs(selector, extension);
+
+    await endemicExchange.updateAuctionExtension(300, 600);
+  });
+
+  it('should update extensions in the same transaction as upgrade', async function () {
+    await endemicExchange.updateExtensions([ZERO_ADDRESS], [[selector]]);
+
+    const EndemicExchange = await ethers.getContractFactory('EndemicExchange');
+    await upgrades.upgradeProxy(endemicExchange.address, EndemicExchange, {
+      call: { fn: 'updateExtensions', args: [[extension], [[selector]]] },
+    });
+
+    expect(await endemicExchange.getExtension(selector)).to.equal(extension);
+  });
+
+  it('should fail to update extensions when not owner', async function () {
+    await expect(
+      endemicExchange
+        .connect(user2)
+        .updateExtensions([ZERO_ADDRESS], [[selector]])
+    ).to.be.revertedWith(UNAUTHORIZED);
+  });
+
+  it('should fail to update extensions with invalid parameters', async function () {
+    await expect(
+      endemicExchange.updateExtensions([user2.address], [[selector]])
+    ).to.be.revertedWith(INVALID_ADDRESS);
+
+    await expect(
+      endemicExchange.updateExtensions([extension], [[selector], [selector]])
+    ).to.be.revertedWith(PARAMETERS_DIFF_IN_SIZE);
+  });
+
+  it('should fail to call unknown function', async function () {
+    await expect(
+      owner.sendTransaction({
+        to: endemicExchange.address,
+        data: '0x12345678',
+      })
+    ).to.be.revertedWith(UNKNOWN_FUNCTION);
+  });
+});
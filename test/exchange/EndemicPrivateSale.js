@@ -4,32 +4,39 @@ const {
   deployEndemicExchangeWithDeps,
   deployEndemicCollectionWithFactory,
   deployEndemicToken,
+  deployEndemicERC1155,
 } = require('../helpers/deploy');
 const { getTypedMessage } = require('../helpers/eip712');
 const {
   signTypedData,
   SignTypedDataVersion,
 } = require('@metamask/eth-sig-util');
-const { ZERO_ADDRESS } = require('../helpers/constants');
+const { FEE_RECIPIENT, ZERO_ADDRESS } = require('../helpers/constants');
+const { ERC1155_ASSET_CLASS, ERC721_ASSET_CLASS } = require('../helpers/ids');
 
 const INVALID_SIGNATURE = 'InvalidSignature';
 const INVALID_VALUE_PROVIDED = 'InvalidValueProvided';
 const INVALID_PAYMENT_METHOD = 'InvalidPaymentMethod';
+const INVALID_PRIVATE_SALE = 'InvalidPrivateSale';
+const INVALID_ASSET_CLASS = 'InvalidAssetClass';
 
 const PRIVATE_SALE_EXPIRED = 'PrivateSaleExpired';
 const PRIVATE_SALE_SUCCESS = 'PrivateSaleSuccess';
+const ERC1155_PRIVATE_SALE_SUCCESS = 'Erc1155PrivateSaleSuccess';
+const ETHER_OVERPAYMENT_REFUNDED = 'EtherOverpaymentRefunded';
 
 describe('EndemicPrivateSale', () => {
   let endemicExchange, endemicToken, nftContract;
 
   let owner, user2;
 
+  let deadline;
+
   const RANDOM_R_VALUE =
     '0x4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d';
   const RANDOM_S_VALUE =
     '0x07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b91562';
   const RANDOM_V_VALUE = '0x1c';
-  const RANDOM_TIMESTAMP = 1678834236;
   const LAST_YEAR_TIMESTAMP = 1615762236;
   const ONE_ETHER = ethers.utils.parseUnits('1.0');
   const ZERO_ONE_ETHER = ethers.utils.parseUnits('0.1');
@@ -53,6 +60,9 @@ describe('EndemicPrivateSale', () => {
     nftContract = (await deployEndemicCollectionWithFactory()).nftContract;
 
     await mintERC721(owner.address);
+
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    deadline = timestamp + 3600;
   }
 
   const getSignedPrivateSale = async (paymentErc20TokenAddress) => {
@@ -76,6 +86,7 @@ describe('EndemicPrivateSale', () => {
       seller: signer.address,
       buyer: owner.address,
       paymentErc20TokenAddress,
+      deadline,
     });
 
     return signTypedData({
@@ -133,7 +144,7 @@ describe('EndemicPrivateSale', () => {
           nftContract.address,
           1,
           ONE_ETHER,
-          RANDOM_TIMESTAMP,
+          deadline,
           RANDOM_V_VALUE,
           RANDOM_R_VALUE,
           RANDOM_S_VALUE,
@@ -151,7 +162,7 @@ describe('EndemicPrivateSale', () => {
           nftContract.address,
           1,
           ONE_ETHER,
-          RANDOM_TIMESTAMP,
+          deadline,
           RANDOM_V_VALUE,
           RANDOM_R_VALUE,
           RANDOM_S_VALUE,
@@ -171,7 +182,7 @@ describe('EndemicPrivateSale', () => {
           nftContract.address,
           2,
           1,
-          1678968943,
+          deadline,
           v,
           r,
           s,
@@ -195,7 +206,7 @@ describe('EndemicPrivateSale', () => {
             nftContract.address,
             2,
             1,
-            1678968943,
+            deadline,
             v,
             r,
             s,
@@ -241,7 +252,7 @@ describe('EndemicPrivateSale', () => {
           nftContract.address,
           1,
           ONE_ETHER,
-          RANDOM_TIMESTAMP,
+          deadline,
           RANDOM_V_VALUE,
           RANDOM_R_VALUE,
           RANDOM_S_VALUE
@@ -256,7 +267,7 @@ describe('EndemicPrivateSale', () => {
           nftContract.address,
           1,
           ONE_ETHER,
-          RANDOM_TIMESTAMP,
+          deadline,
           RANDOM_V_VALUE,
           RANDOM_R_VALUE,
           RANDOM_S_VALUE
@@ -265,11 +276,11 @@ describe('EndemicPrivateSale', () => {
     });
 
     it('should fail with invalid signature', async function () {
-      await endemicToken.transfer(user2.address, ethers.utils.parseUnits('1'));
+      await endemicToken.transfer(user2.address, ONE_ETHER);
 
       await endemicToken
         .connect(user2)
-        .approve(endemicExchange.address, ethers.utils.parseUnits('1'));
+        .approve(endemicExchange.address, ONE_ETHER);
 
       await expect(
         endemicExchange
@@ -279,7 +290,7 @@ describe('EndemicPrivateSale', () => {
             nftContract.address,
             1,
             ONE_ETHER,
-            RANDOM_TIMESTAMP,
+            deadline,
             RANDOM_V_VALUE,
             RANDOM_R_VALUE,
             RANDOM_S_VALUE
@@ -298,7 +309,7 @@ describe('EndemicPrivateSale', () => {
           nftContract.address,
           2,
           1,
-          1678968943,
+          deadline,
           v,
           r,
           s
@@ -322,7 +333,7 @@ describe('EndemicPrivateSale', () => {
             nftContract.address,
             2,
             1,
-            1678968943,
+            deadline,
             v,
             r,
             s
@@ -330,4 +341,213 @@ describe('EndemicPrivateSale', () => {
       ).to.be.revertedWith(INVALID_SIGNATURE);
     });
   });
+
+  describe('Buy ERC1155 from private sale', function () {
+    let erc1155Contract, seller, privateSale;
+
+    beforeEach(async function () {
+      await deploy();
+
+      erc1155Contract = await deployEndemicERC1155();
+
+      seller = ethers.Wallet.createRandom().connect(endemicExchange.provider);
+
+      await owner.sendTransaction({
+        to: seller.address,
+        value: ethers.utils.parseEther('1'),
+      });
+
+      await erc1155Contract.create({
+        artist: owner.address,
+        supply: 10,
+        tokenURI: 'bafybeigdyrzt5sfp7udm7hu76uh7y2anf3efuylqabf3oclgtqy55fbzdi',
+      });
+
+      await erc1155Contract.mint({
+        recipient: seller.address,
+        tokenId: 1,
+        amount: 3,
+      });
+
+      await erc1155Contract
+        .connect(seller)
+        .setApprovalForAll(endemicExchange.address, true);
+
+      const { timestamp } = await ethers.provider.getBlock('latest');
+
+      privateSale = {
+        nftContract: erc1155Contract.address,
+        tokenId: 1,
+        amount: 2,
+        assetClass: ERC1155_ASSET_CLASS,
+        paymentErc20TokenAddress: ZERO_ADDRESS,
+        seller: seller.address,
+        price: ZERO_ONE_ETHER.toString(),
+        deadline: timestamp + 3600,
+      };
+    });
+
+    const signPrivateSale = (sale) => {
+      const data = getTypedMessage({
+        ...sale,
+        chainId: network.config.chainId,
+        verifierContract: endemicExchange.address,
+        buyer: user2.address,
+      });
+
+      const signature = signTypedData({
+        privateKey: Buffer.from(seller.privateKey.substring(2), 'hex'),
+        data,
+        version: SignTypedDataVersion.V4,
+      });
+
+      return ethers.utils.splitSignature(signature);
+    };
+
+    it('should succesfully buy from private sale', async function () {
+      const { v, r, s } = signPrivateSale(privateSale);
+
+      const buyTx = await endemicExchange
+        .connect(user2)
+        .buyErc1155FromPrivateSale(privateSale, v, r, s, {
+          value: ZERO_ONE_ETHER,
+        });
+
+      await expect(buyTx).to.emit(endemicExchange, PRIVATE_SALE_SUCCESS);
+      await expect(buyTx)
+        .to.emit(endemicExchange, ERC1155_PRIVATE_SALE_SUCCESS)
+        .withArgs(erc1155Contract.address, 1, seller.address, 2);
+
+      expect(await erc1155Contract.balanceOf(user2.address, 1)).to.equal(2);
+      expect(await erc1155Contract.balanceOf(seller.address, 1)).to.equal(1);
+    });
+
+    it('should fail to buy with price not correct', async function () {
+      const { v, r, s } = signPrivateSale(privateSale);
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .buyErc1155FromPrivateSale(privateSale, v, r, s, {
+            value: ZERO_ONE_ETHER.sub(1),
+          })
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED);
+    });
+
+    it('should refund ether overpayment', async function () {
+      const { v, r, s } = signPrivateSale(privateSale);
+
+      const user2Balance1 = await user2.getBalance();
+
+      const tx = await endemicExchange
+        .connect(user2)
+        .buyErc1155FromPrivateSale(privateSale, v, r, s, {
+          value: ethers.utils.parseUnits('0.2'),
+        });
+
+      await expect(tx)
+        .to.emit(endemicExchange, ETHER_OVERPAYMENT_REFUNDED)
+        .withArgs(user2.address, ZERO_ONE_ETHER);
+
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance1.sub(user2Balance2).sub(gasCost)).to.equal(
+        ZERO_ONE_ETHER
+      );
+      expect(
+        await ethers.provider.getBalance(endemicExchange.address)
+      ).to.equal(0);
+    });
+
+    it('should quote what buyer pays and seller receives', async function () {
+      const quote = await endemicExchange.getPrivateSaleQuote(
+        privateSale,
+        user2.address
+      );
+
+      expect(quote.buyerTotal).to.equal(ZERO_ONE_ETHER);
+      expect(quote.makerCut).to.equal(ethers.utils.parseUnits('0.0025'));
+      expect(quote.takerCut).to.equal(0);
+
+      const royalties = quote.royaltiesCuts.reduce(
+        (total, cut) => total.add(cut),
+        ethers.BigNumber.from(0)
+      );
+      expect(quote.sellerProceeds).to.equal(
+        quote.price.sub(quote.makerCut).sub(royalties)
+      );
+
+      const { v, r, s } = signPrivateSale(privateSale);
+
+      const sellerBalance1 = await seller.getBalance();
+      const feeBalance1 = await ethers.provider.getBalance(FEE_RECIPIENT);
+
+      await endemicExchange
+        .connect(user2)
+        .buyErc1155FromPrivateSale(privateSale, v, r, s, {
+          value: quote.buyerTotal,
+        });
+
+      const sellerBalance2 = await seller.getBalance();
+      expect(sellerBalance2.sub(sellerBalance1)).to.equal(quote.sellerProceeds);
+
+      const feeBalance2 = await ethers.provider.getBalance(FEE_RECIPIENT);
+      expect(feeBalance2.sub(feeBalance1)).to.equal(quote.makerCut);
+    });
+
+    it('should fail to buy same private sale twice', async function () {
+      const { v, r, s } = signPrivateSale(privateSale);
+
+      await endemicExchange
+        .connect(user2)
+        .buyErc1155FromPrivateSale(privateSale, v, r, s, {
+          value: ZERO_ONE_ETHER,
+        });
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .buyErc1155FromPrivateSale(privateSale, v, r, s, {
+            value: ZERO_ONE_ETHER,
+          })
+      ).to.be.revertedWith(INVALID_PRIVATE_SALE);
+    });
+
+    it('should fail to buy with changed amount', async function () {
+      const { v, r, s } = signPrivateSale(privateSale);
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .buyErc1155FromPrivateSale({ ...privateSale, amount: 3 }, v, r, s, {
+            value: ZERO_ONE_ETHER,
+          })
+      ).to.be.revertedWith(INVALID_SIGNATURE);
+    });
+
+    it('should fail to buy with invalid buyer', async function () {
+      const { v, r, s } = signPrivateSale(privateSale);
+
+      await expect(
+        endemicExchange.buyErc1155FromPrivateSale(privateSale, v, r, s, {
+          value: ZERO_ONE_ETHER,
+        })
+      ).to.be.revertedWith(INVALID_SIGNATURE);
+    });
+
+    it('should fail to buy with ERC721 asset class', async function () {
+      const sale = { ...privateSale, assetClass: ERC721_ASSET_CLASS };
+      const { v, r, s } = signPrivateSale(sale);
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .buyErc1155FromPrivateSale(sale, v, r, s, {
+            value: ZERO_ONE_ETHER,
+          })
+      ).to.be.revertedWith(INVALID_ASSET_CLASS);
+    });
+  });
 });
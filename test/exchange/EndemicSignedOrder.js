@@ -0,0 +1,338 @@
+const { expect } = require('chai');
+const { ethers, network } = require('hardhat');
+const {
+  deployEndemicExchangeWithDeps,
+  deployEndemicCollectionWithFactory,
+  deployEndemicERC1155,
+  deployEndemicToken,
+} = require('../helpers/deploy');
+const { getTypedOrderMessage } = require('../helpers/eip712');
+const {
+  signTypedData,
+  SignTypedDataVersion,
+} = require('@metamask/eth-sig-util');
+const { ZERO_ADDRESS, FEE_RECIPIENT } = require('../helpers/constants');
+const { ERC1155_ASSET_CLASS, ERC721_ASSET_CLASS } = require('../helpers/ids');
+
+const INVALID_SIGNATURE = 'InvalidSignature';
+const INVALID_VALUE_PROVIDED = 'InvalidValueProvided';
+const INVALID_AMOUNT = 'InvalidAmount';
+const INVALID_ORDER = 'InvalidOrder';
+const ORDER_EXPIRED = 'OrderExpired';
+
+const ORDER_FILLED = 'OrderFilled';
+const ORDER_CANCELLED = 'OrderCancelled';
+const ORDER_NONCE_INCREMENTED = 'OrderNonceIncremented';
+
+describe('EndemicSignedOrder', () => {
+  let endemicExchange, endemicToken, nftContract, erc1155Contract;
+
+  let owner, buyer, seller;
+
+  async function deploy() {
+    [owner, buyer] = await ethers.getSigners();
+
+    const result = await deployEndemicExchangeWithDeps(250, 300);
+
+    endemicExchange = result.endemicExchangeContract;
+
+    nftContract = (await deployEndemicCollectionWithFactory()).nftContract;
+    erc1155Contract = await deployEndemicERC1155();
+
+    seller = ethers.Wallet.createRandom().connect(endemicExchange.provider);
+
+    await owner.sendTransaction({
+      to: seller.address,
+      value: ethers.utils.parseEther('10'),
+    });
+
+    await nftContract
+      .connect(owner)
+      .mint(
+        seller.address,
+        'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+      );
+
+    await erc1155Contract.connect(owner).create({
+      artist: owner.address,
+      supply: 10,
+      tokenURI: 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+    });
+
+    await erc1155Contract.connect(owner).mint({
+      recipient: seller.address,
+      tokenId: 1,
+      amount: 3,
+    });
+
+    await nftContract.connect(seller).approve(endemicExchange.address, 1);
+    await erc1155Contract
+      .connect(seller)
+      .setApprovalForAll(endemicExchange.address, true);
+  }
+
+  const createOrder = async (overrides = {}) => {
+    const { timestamp } = await ethers.provider.getBlock('latest');
+
+    return {
+      seller: seller.address,
+      nftContract: nftContract.address,
+      tokenId: 1,
+      amount: 1,
+      assetClass: ERC721_ASSET_CLASS,
+      paymentErc20TokenAddress: ZERO_ADDRESS,
+      price: ethers.utils.parseUnits('1').toString(),
+      expiresAt: timestamp + 3600,
+      nonce: 0,
+      ...overrides,
+    };
+  };
+
+  const signOrder = (order) => {
+    const data = getTypedOrderMessage({
+      chainId: network.config.chainId,
+      verifierContract: endemicExchange.address,
+      order,
+    });
+
+    const signature = signTypedData({
+      privateKey: Buffer.from(seller.privateKey.substring(2), 'hex'),
+      data,
+      version: SignTypedDataVersion.V4,
+    });
+
+    return ethers.utils.splitSignature(signature);
+  };
+
+  describe('Buy from order with Ether', function () {
+    beforeEach(deploy);
+
+    it('should successfully buy ERC721 from order', async function () {
+      const order = await createOrder();
+      const { v, r, s } = signOrder(order);
+
+      const feeBalance1 = await endemicExchange.provider.getBalance(
+        FEE_RECIPIENT
+      );
+
+      await expect(
+        endemicExchange.connect(buyer).buyFromOrder(order, 1, v, r, s, {
+          value: ethers.utils.parseUnits('1.03'),
+        })
+      )
+        .to.emit(endemicExchange, ORDER_FILLED)
+        .withArgs(
+          await endemicExchange.getOrderHash(order),
+          nftContract.address,
+          1,
+          seller.address,
+          buyer.address,
+          1,
+          ethers.utils.parseUnits('1'),
+          ethers.utils.parseUnits('0.055')
+        );
+
+      expect(await nftContract.ownerOf(1)).to.equal(buyer.address);
+
+      const feeBalance2 = await endemicExchange.provider.getBalance(
+        FEE_RECIPIENT
+      );
+      expect(feeBalance2.sub(feeBalance1)).to.equal(
+        ethers.utils.parseUnits('0.055')
+      );
+    });
+
+    it('should fail to buy with insufficient value', async function () {
+      const order = await createOrder();
+      const { v, r, s } = signOrder(order);
+
+      await expect(
+        endemicExchange.connect(buyer).buyFromOrder(order, 1, v, r, s, {
+          value: ethers.utils.parseUnits('1'),
+        })
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED);
+    });
+
+    it('should fail to buy from expired order', async function () {
+      const order = await createOrder();
+      const { v, r, s } = signOrder(order);
+
+      await network.provider.send('evm_increaseTime', [3601]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange.connect(buyer).buyFromOrder(order, 1, v, r, s, {
+          value: ethers.utils.parseUnits('1.03'),
+        })
+      ).to.be.revertedWith(ORDER_EXPIRED);
+    });
+
+    it('should fail to buy from order with tampered price', async function () {
+      const order = await createOrder();
+      const { v, r, s } = signOrder(order);
+
+      await expect(
+        endemicExchange
+          .connect(buyer)
+          .buyFromOrder(
+            { ...order, price: ethers.utils.parseUnits('0.1') },
+            1,
+            v,
+            r,
+            s,
+            {
+              value: ethers.utils.parseUnits('0.103'),
+            }
+          )
+      ).to.be.revertedWith(INVALID_SIGNATURE);
+    });
+
+    it('should fail to buy same ERC721 order twice', async function () {
+      const order = await createOrder();
+      const { v, r, s } = signOrder(order);
+
+      await endemicExchange.connect(buyer).buyFromOrder(order, 1, v, r, s, {
+        value: ethers.utils.parseUnits('1.03'),
+      });
+
+      await expect(
+        endemicExchange.connect(owner).buyFromOrder(order, 1, v, r, s, {
+          value: ethers.utils.parseUnits('1.03'),
+        })
+      ).to.be.revertedWith(INVALID_AMOUNT);
+    });
+
+    it('should partially fill ERC1155 order', async function () {
+      const order = await createOrder({
+        nftContract: erc1155Contract.address,
+        amount: 3,
+        assetClass: ERC1155_ASSET_CLASS,
+      });
+      const { v, r, s } = signOrder(order);
+
+      await endemicExchange.connect(buyer).buyFromOrder(order, 2, v, r, s, {
+        value: ethers.utils.parseUnits('2.06'),
+      });
+
+      expect(await erc1155Contract.balanceOf(buyer.address, 1)).to.equal(2);
+      expect(
+        await endemicExchange.orderFilledAmount(
+          await endemicExchange.getOrderHash(order)
+        )
+      ).to.equal(2);
+
+      await expect(
+        endemicExchange.connect(buyer).buyFromOrder(order, 2, v, r, s, {
+          value: ethers.utils.parseUnits('2.06'),
+        })
+      ).to.be.revertedWith(INVALID_AMOUNT);
+
+      await endemicExchange.connect(buyer).buyFromOrder(order, 1, v, r, s, {
+        value: ethers.utils.parseUnits('1.03'),
+      });
+
+      expect(await erc1155Contract.balanceOf(buyer.address, 1)).to.equal(3);
+    });
+  });
+
+  describe('Buy from order with ERC20', function () {
+    beforeEach(async function () {
+      await deploy();
+
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+    });
+
+    it('should successfully buy from order', async function () {
+      const order = await createOrder({
+        paymentErc20TokenAddress: endemicToken.address,
+      });
+      const { v, r, s } = signOrder(order);
+
+      await endemicToken.transfer(
+        buyer.address,
+        ethers.utils.parseUnits('1.03')
+      );
+      await endemicToken
+        .connect(buyer)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('1.03'));
+
+      await expect(
+        endemicExchange.connect(buyer).buyFromOrder(order, 1, v, r, s)
+      ).to.emit(endemicExchange, ORDER_FILLED);
+
+      expect(await nftContract.ownerOf(1)).to.equal(buyer.address);
+      expect(await endemicToken.balanceOf(FEE_RECIPIENT)).to.equal(
+        ethers.utils.parseUnits('0.055')
+      );
+    });
+
+    it('should fail with unsupported ERC20 payment', async function () {
+      const order = await createOrder({
+        paymentErc20TokenAddress: '0x0000000000000000000000000000000000000001',
+      });
+      const { v, r, s } = signOrder(order);
+
+      await expect(
+        endemicExchange.connect(buyer).buyFromOrder(order, 1, v, r, s)
+      ).to.be.revertedWith('InvalidPaymentMethod');
+    });
+  });
+
+  describe('Cancel orders', function () {
+    beforeEach(deploy);
+
+    it('should cancel single order', async function () {
+      const order = await createOrder();
+      const { v, r, s } = signOrder(order);
+
+      await expect(endemicExchange.connect(seller).cancelOrder(order))
+        .to.emit(endemicExchange, ORDER_CANCELLED)
+        .withArgs(await endemicExchange.getOrderHash(order), seller.address);
+
+      await expect(
+        endemicExchange.connect(buyer).buyFromOrder(order, 1, v, r, s, {
+          value: ethers.utils.parseUnits('1.03'),
+        })
+      ).to.be.revertedWith(INVALID_ORDER);
+    });
+
+    it('should fail to cancel order of other seller', async function () {
+      const order = await createOrder();
+
+      await expect(
+        endemicExchange.connect(buyer).cancelOrder(order)
+      ).to.be.revertedWith(INVALID_ORDER);
+    });
+
+    it('should cancel all orders by incrementing nonce', async function () {
+      const order = await createOrder();
+      const { v, r, s } = signOrder(order);
+
+      await expect(endemicExchange.connect(seller).cancelAllOrders())
+        .to.emit(endemicExchange, ORDER_NONCE_INCREMENTED)
+        .withArgs(seller.address, 1);
+
+      await expect(
+        endemicExchange.connect(buyer).buyFromOrder(order, 1, v, r, s, {
+          value: ethers.utils.parseUnits('1.03'),
+        })
+      ).to.be.revertedWith(INVALID_ORDER);
+
+      const newOrder = await createOrder({ nonce: 1 });
+      const signature = signOrder(newOrder);
+
+      await endemicExchange
+        .connect(buyer)
+        .buyFromOrder(newOrder, 1, signature.v, signature.r, signature.s, {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      expect(await nftContract.ownerOf(1)).to.equal(buyer.address);
+    });
+  });
+});
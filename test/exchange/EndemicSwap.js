@@ -0,0 +1,371 @@
+const { expect } = require('chai');
+const { ethers, network } = require('hardhat');
+const {
+  deployEndemicExchangeWithDeps,
+  deployEndemicCollectionWithFactory,
+  deployEndemicERC1155,
+  deployEndemicToken,
+} = require('../helpers/deploy');
+const { ZERO_ADDRESS, FEE_RECIPIENT } = require('../helpers/constants');
+const { ERC1155_ASSET_CLASS, ERC721_ASSET_CLASS } = require('../helpers/ids');
+
+const INVALID_SWAP = 'InvalidSwap';
+const SWAP_EXPIRED = 'SwapExpired';
+const INVALID_ADDRESS = 'InvalidAddress';
+const INVALID_VALUE_PROVIDED = 'InvalidValueProvided';
+const SELLER_NOT_ASSET_OWNER = 'SellerNotAssetOwner';
+
+const SWAP_PROPOSED = 'SwapProposed';
+const SWAP_ACCEPTED = 'SwapAccepted';
+const SWAP_CANCELLED = 'SwapCancelled';
+
+describe('EndemicSwap', () => {
+  let endemicExchange, endemicToken, nftContract, erc1155Contract;
+
+  let owner, maker, taker, user3;
+
+  let makerItems, takerItems;
+
+  async function deploy() {
+    [owner, maker, taker, user3] = await ethers.getSigners();
+
+    const result = await deployEndemicExchangeWithDeps(250, 300);
+
+    endemicExchange = result.endemicExchangeContract;
+
+    nftContract = (await deployEndemicCollectionWithFactory()).nftContract;
+    erc1155Contract = await deployEndemicERC1155();
+
+    await nftContract
+      .connect(owner)
+      .mint(
+        maker.address,
+        'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+      );
+    await nftContract
+      .connect(owner)
+      .mint(
+        taker.address,
+        'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+      );
+
+    await erc1155Contract.connect(owner).create({
+      artist: owner.address,
+      supply: 10,
+      tokenURI: 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+    });
+
+    await erc1155Contract.connect(owner).mint({
+      recipient: taker.address,
+      tokenId: 1,
+      amount: 3,
+    });
+
+    await nftContract
+      .connect(maker)
+      .setApprovalForAll(endemicExchange.address, true);
+    await nftContract
+      .connect(taker)
+      .setApprovalForAll(endemicExchange.address, true);
+    await erc1155Contract
+      .connect(taker)
+      .setApprovalForAll(endemicExchange.address, true);
+
+    makerItems = [
+      {
+        nftContract: nftContract.address,
+        tokenId: 1,
+        amount: 1,
+        assetClass: ERC721_ASSET_CLASS,
+      },
+    ];
+
+    takerItems = [
+      {
+        nftContract: nftContract.address,
+        tokenId: 2,
+        amount: 1,
+        assetClass: ERC721_ASSET_CLASS,
+      },
+      {
+        nftContract: erc1155Contract.address,
+        tokenId: 1,
+        amount: 2,
+        assetClass: ERC1155_ASSET_CLASS,
+      },
+    ];
+  }
+
+  const expectItemsSwapped = async () => {
+    expect(await nftContract.ownerOf(1)).to.equal(taker.address);
+    expect(await nftContract.ownerOf(2)).to.equal(maker.address);
+    expect(await erc1155Contract.balanceOf(maker.address, 1)).to.equal(2);
+    expect(await erc1155Contract.balanceOf(taker.address, 1)).to.equal(1);
+  };
+
+  describe('Swap with Ether', function () {
+    beforeEach(deploy);
+
+    it('should swap tokens and charge fees and royalties on sweetener', async function () {
+      await expect(
+        endemicExchange
+          .connect(maker)
+          .proposeSwap(
+            makerItems,
+            takerItems,
+            taker.address,
+            ZERO_ADDRESS,
+            ethers.utils.parseUnits('1'),
+            3600,
+            { value: ethers.utils.parseUnits('1') }
+          )
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED);
+
+      await expect(
+        endemicExchange
+          .connect(maker)
+          .proposeSwap(
+            makerItems,
+            takerItems,
+            taker.address,
+            ZERO_ADDRESS,
+            ethers.utils.parseUnits('1'),
+            3600,
+            { value: ethers.utils.parseUnits('1.03') }
+          )
+      ).to.emit(endemicExchange, SWAP_PROPOSED);
+
+      const swap = await endemicExchange.getSwap(1);
+      expect(swap.maker).to.equal(maker.address);
+      expect(swap.sweetenerWithTakerFee).to.equal(
+        ethers.utils.parseUnits('1.03')
+      );
+      expect(swap.takerItems.length).to.equal(2);
+
+      const feeBalance1 = await ethers.provider.getBalance(FEE_RECIPIENT);
+      const takerBalance1 = await taker.getBalance();
+
+      const acceptTx = await endemicExchange.connect(taker).acceptSwap(1);
+
+      await expect(acceptTx)
+        .to.emit(endemicExchange, SWAP_ACCEPTED)
+        .withArgs(
+          1,
+          maker.address,
+          taker.address,
+          ethers.utils.parseUnits('1'),
+          ethers.utils.parseUnits('0.055')
+        );
+
+      const receipt = await acceptTx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      const feeBalance2 = await ethers.provider.getBalance(FEE_RECIPIENT);
+      const takerBalance2 = await taker.getBalance();
+
+      await expectItemsSwapped();
+
+      expect(feeBalance2.sub(feeBalance1)).to.equal(
+        ethers.utils.parseUnits('0.055')
+      );
+      // Sweetener minus 2.5% maker fee and 10% royalties of ERC721 taker item,
+      // which is priced with half of the sweetener
+      expect(takerBalance2.sub(takerBalance1).add(gasCost)).to.equal(
+        ethers.utils.parseUnits('0.925')
+      );
+    });
+
+    it('should swap tokens without sweetener and fees', async function () {
+      await endemicExchange
+        .connect(maker)
+        .proposeSwap(
+          makerItems,
+          takerItems,
+          taker.address,
+          ZERO_ADDRESS,
+          0,
+          3600
+        );
+
+      const feeBalance1 = await ethers.provider.getBalance(FEE_RECIPIENT);
+
+      await expect(endemicExchange.connect(taker).acceptSwap(1))
+        .to.emit(endemicExchange, SWAP_ACCEPTED)
+        .withArgs(1, maker.address, taker.address, 0, 0);
+
+      await expectItemsSwapped();
+
+      const feeBalance2 = await ethers.provider.getBalance(FEE_RECIPIENT);
+      expect(feeBalance2).to.equal(feeBalance1);
+    });
+
+    it('should fail to propose swap with invalid parameters', async function () {
+      await expect(
+        endemicExchange
+          .connect(maker)
+          .proposeSwap(
+            makerItems,
+            takerItems,
+            maker.address,
+            ZERO_ADDRESS,
+            0,
+            3600
+          )
+      ).to.be.revertedWith(INVALID_ADDRESS);
+
+      await expect(
+        endemicExchange
+          .connect(maker)
+          .proposeSwap(
+            takerItems,
+            makerItems,
+            taker.address,
+            ZERO_ADDRESS,
+            0,
+            3600
+          )
+      ).to.be.revertedWith(SELLER_NOT_ASSET_OWNER);
+
+      await expect(
+        endemicExchange
+          .connect(maker)
+          .proposeSwap(
+            makerItems,
+            takerItems,
+            taker.address,
+            ZERO_ADDRESS,
+            0,
+            60
+          )
+      ).to.be.revertedWith(INVALID_SWAP);
+    });
+
+    it('should fail to accept swap when not taker or expired', async function () {
+      await endemicExchange
+        .connect(maker)
+        .proposeSwap(
+          makerItems,
+          takerItems,
+          taker.address,
+          ZERO_ADDRESS,
+          0,
+          3600
+        );
+
+      await expect(
+        endemicExchange.connect(user3).acceptSwap(1)
+      ).to.be.revertedWith(INVALID_SWAP);
+
+      await network.provider.send('evm_increaseTime', [3601]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange.connect(taker).acceptSwap(1)
+      ).to.be.revertedWith(SWAP_EXPIRED);
+    });
+
+    it('should cancel swap and refund sweetener', async function () {
+      await endemicExchange
+        .connect(maker)
+        .proposeSwap(
+          makerItems,
+          takerItems,
+          taker.address,
+          ZERO_ADDRESS,
+          ethers.utils.parseUnits('1'),
+          3600,
+          { value: ethers.utils.parseUnits('1.03') }
+        );
+
+      await expect(
+        endemicExchange.connect(user3).cancelSwap(1)
+      ).to.be.revertedWith(INVALID_SWAP);
+
+      const makerBalance1 = await maker.getBalance();
+
+      const cancelTx = await endemicExchange.connect(maker).cancelSwap(1);
+
+      await expect(cancelTx)
+        .to.emit(endemicExchange, SWAP_CANCELLED)
+        .withArgs(1, maker.address, taker.address);
+
+      const receipt = await cancelTx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      const makerBalance2 = await maker.getBalance();
+      expect(makerBalance2.sub(makerBalance1).add(gasCost)).to.equal(
+        ethers.utils.parseUnits('1.03')
+      );
+
+      await expect(endemicExchange.getSwap(1)).to.be.revertedWith(INVALID_SWAP);
+    });
+  });
+
+  describe('Swap with ERC20', function () {
+    beforeEach(async function () {
+      await deploy();
+
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+
+      await endemicToken.transfer(
+        maker.address,
+        ethers.utils.parseUnits('1.03')
+      );
+      await endemicToken
+        .connect(maker)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('1.03'));
+    });
+
+    it('should swap tokens and pay ERC20 sweetener', async function () {
+      await endemicExchange
+        .connect(maker)
+        .proposeSwap(
+          makerItems,
+          takerItems,
+          taker.address,
+          endemicToken.address,
+          ethers.utils.parseUnits('1'),
+          3600
+        );
+
+      await expect(endemicExchange.connect(taker).acceptSwap(1))
+        .to.emit(endemicExchange, SWAP_ACCEPTED)
+        .withArgs(
+          1,
+          maker.address,
+          taker.address,
+          ethers.utils.parseUnits('1'),
+          ethers.utils.parseUnits('0.055')
+        );
+
+      await expectItemsSwapped();
+
+      expect(await endemicToken.balanceOf(taker.address)).to.equal(
+        ethers.utils.parseUnits('0.925')
+      );
+      expect(await endemicToken.balanceOf(FEE_RECIPIENT)).to.equal(
+        ethers.utils.parseUnits('0.055')
+      );
+    });
+
+    it('should fail to propose swap without allowance', async function () {
+      await expect(
+        endemicExchange
+          .connect(maker)
+          .proposeSwap(
+            makerItems,
+            takerItems,
+            taker.address,
+            endemicToken.address,
+            ethers.utils.parseUnits('2'),
+            3600
+          )
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED);
+    });
+  });
+});
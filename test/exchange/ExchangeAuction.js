@@ -17,9 +17,36 @@ const INVALID_VALUE_PROVIDED_ERROR = 'InvalidValueProvided';
 const INVALID_DURATION_ERROR = 'InvalidDuration';
 const INVALID_AMOUNT_ERROR = 'InvalidAmount';
 const INVALID_PAYMENT_METHOD = 'InvalidPaymentMethod';
+const AUCTION_IN_PROGRESS_ERROR = 'AuctionInProgress';
+const AUCTION_ENDED_ERROR = 'AuctionEnded';
+const AUCTION_NOT_ENDED_ERROR = 'AuctionNotEnded';
+const BID_TOO_LOW_ERROR = 'BidTooLow';
+const AUCTION_NOT_STARTED_ERROR = 'AuctionNotStarted';
+const INVALID_START_TIME_ERROR = 'InvalidStartTime';
+const INVALID_RESERVE_PRICE_ERROR = 'InvalidReservePrice';
+const RESERVE_PRICE_NOT_REVEALED_ERROR = 'ReservePriceNotRevealed';
+const PARAMETERS_DIFF_IN_SIZE_ERROR = 'ParametersDiffInSize';
+const INVALID_FEES_ERROR = 'InvalidFees';
+const INVALID_PRICE_CONFIGURATION_ERROR = 'InvalidPriceConfiguration';
 
 const AUCTION_SUCCESFUL = 'AuctionSuccessful';
 const AUCTION_CANCELED = 'AuctionCancelled';
+const AUCTION_BID = 'AuctionBid';
+const AUCTION_OUTBID = 'AuctionOutbid';
+const AUCTION_SETTLED = 'AuctionSettled';
+const AUCTION_EXTENDED = 'AuctionExtended';
+const AUCTION_UPDATED = 'AuctionUpdated';
+const AUCTION_SCHEDULED = 'AuctionScheduled';
+const RESERVE_PRICE_COMMITTED = 'ReservePriceCommitted';
+const BUNDLE_AUCTION_CREATED = 'BundleAuctionCreated';
+const BUNDLE_AUCTION_SUCCESSFUL = 'BundleAuctionSuccessful';
+const BUNDLE_AUCTION_CANCELLED = 'BundleAuctionCancelled';
+const RESERVE_PRICE_REVEALED = 'ReservePriceRevealed';
+const RESERVE_PRICE_CHECKED = 'ReservePriceChecked';
+const ETHER_OVERPAYMENT_REFUNDED = 'EtherOverpaymentRefunded';
+const PENDING_WITHDRAWAL_CREDITED = 'PendingWithdrawalCredited';
+const PENDING_WITHDRAWAL_CLAIMED = 'PendingWithdrawalClaimed';
+const PRIMARY_SALE_COMPLETED = 'PrimarySaleCompleted';
 
 const UNAUTHORIZED_ERROR = 'Unauthorized';
 const SELLER_NOT_ASSET_OWNER = 'SellerNotAssetOwner';
@@ -1428,6 +1455,31 @@ describe('ExchangeAuction', function () {
       ).to.be.revertedWith(INVALID_AUCTION_ERROR);
     });
 
+    it('should refund ether overpayment', async function () {
+      const user2Bal1 = await user2.getBalance();
+
+      const bidTx = await endemicExchange
+        .connect(user2)
+        .bid(erc721AuctionId, 1, {
+          value: ethers.utils.parseUnits('0.2'),
+        });
+
+      await expect(bidTx)
+        .to.emit(endemicExchange, ETHER_OVERPAYMENT_REFUNDED)
+        .withArgs(user2.address, ethers.utils.parseUnits('0.097'));
+
+      const receipt = await bidTx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      const user2Bal2 = await user2.getBalance();
+      expect(user2Bal1.sub(user2Bal2).sub(gasCost)).to.equal(
+        ethers.utils.parseUnits('0.103')
+      );
+      expect(
+        await endemicExchange.provider.getBalance(endemicExchange.address)
+      ).to.equal(0);
+    });
+
     it('should be able to bid on fixed ERC721 auction', async function () {
       const user1Bal1 = await user1.getBalance();
 
@@ -2232,6 +2284,145 @@ describe('ExchangeAuction', function () {
         .setApprovalForAll(endemicExchange.address, true);
     });
 
+    it('should take collection and seller fee overrides', async function () {
+      await endemicExchange.updateCollectionFees(
+        nftContract.address,
+        0,
+        0,
+        true
+      );
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+      const auctionid = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      // No taker fee for collection
+      await expect(
+        endemicExchange.connect(user2).bid(auctionid, 1, {
+          value: ethers.utils.parseUnits('0.2'),
+        })
+      )
+        .to.emit(endemicExchange, AUCTION_SUCCESFUL)
+        .withArgs(
+          auctionid,
+          ethers.utils.parseUnits('0.2'),
+          user2.address,
+          1,
+          0
+        );
+
+      // Seller fees are used over collection fees
+      await endemicExchange.updateSellerFees(user2.address, 100, 100, true);
+
+      await nftContract.connect(user2).approve(endemicExchange.address, 1);
+      await endemicExchange
+        .connect(user2)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+      const auctionid2 = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user2.address
+      );
+
+      await expect(
+        endemicExchange.connect(user3).bid(auctionid2, 1, {
+          value: ethers.utils.parseUnits('0.2'),
+        })
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED_ERROR);
+
+      await expect(
+        endemicExchange.connect(user3).bid(auctionid2, 1, {
+          value: ethers.utils.parseUnits('0.202'),
+        })
+      )
+        .to.emit(endemicExchange, AUCTION_SUCCESFUL)
+        .withArgs(
+          auctionid2,
+          ethers.utils.parseUnits('0.2'),
+          user3.address,
+          1,
+          ethers.utils.parseUnits('0.004')
+        );
+    });
+
+    it('should discount fees for token holders', async function () {
+      endemicToken = await deployEndemicToken(owner);
+      await endemicToken.transfer(
+        user2.address,
+        ethers.utils.parseUnits('100')
+      );
+
+      // Half of the fees for stakers of 100 tokens
+      await endemicExchange.updateFeeDiscountTiers(
+        endemicToken.address,
+        [ethers.utils.parseUnits('100')],
+        [5000]
+      );
+
+      await endemicToken
+        .connect(user2)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('100'));
+      await endemicExchange
+        .connect(user2)
+        .stakeForFeeDiscount(ethers.utils.parseUnits('100'));
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+      const auctionid = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      // 1.5% taker fee for buyer, 2.5% maker fee for seller
+      await expect(
+        endemicExchange.connect(user2).bid(auctionid, 1, {
+          value: ethers.utils.parseUnits('0.203'),
+        })
+      )
+        .to.emit(endemicExchange, AUCTION_SUCCESFUL)
+        .withArgs(
+          auctionid,
+          ethers.utils.parseUnits('0.2'),
+          user2.address,
+          1,
+          ethers.utils.parseUnits('0.008')
+        );
+    });
+
     it('should take cut on primary sale on fixed auction', async function () {
       const claimEthBalance1 = await endemicExchange.provider.getBalance(
         FEE_RECIPIENT
@@ -3046,6 +3237,186 @@ describe('ExchangeAuction', function () {
       );
     });
 
+    it('should distribute royalties to multiple recipients', async () => {
+      await royaltiesProviderContract.setRoyaltySplitsForCollection(
+        nftContract.address,
+        [feeRecipient.address, user3.address],
+        [600, 400]
+      );
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+      const auctionid = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      const feeRecipientBalance1 = await feeRecipient.getBalance();
+      const user3Bal1 = await user3.getBalance();
+      const user1Bal1 = await user1.getBalance();
+
+      await endemicExchange.connect(user2).bid(auctionid, 1, {
+        value: ethers.utils.parseUnits('0.206'),
+      });
+
+      const feeRecipientBalance2 = await feeRecipient.getBalance();
+      const user3Bal2 = await user3.getBalance();
+      const user1Bal2 = await user1.getBalance();
+
+      // 6% and 4% of 0.2 royalties
+      expect(feeRecipientBalance2.sub(feeRecipientBalance1)).to.equal(
+        ethers.utils.parseUnits('0.012')
+      );
+      expect(user3Bal2.sub(user3Bal1)).to.equal(
+        ethers.utils.parseUnits('0.008')
+      );
+
+      // 0.2 minus 2.5% fee minus 10% royalties
+      expect(user1Bal2.sub(user1Bal1)).to.equal(
+        ethers.utils.parseUnits('0.175')
+      );
+    });
+
+    it('should credit royalties recipient that rejects ether', async () => {
+      // Royalties provider contract can't receive ether
+      await royaltiesProviderContract.setRoyaltiesForCollection(
+        nftContract.address,
+        royaltiesProviderContract.address,
+        1000
+      );
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+      const auctionid = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      await expect(
+        endemicExchange.connect(user2).bid(auctionid, 1, {
+          value: ethers.utils.parseUnits('0.206'),
+        })
+      )
+        .to.emit(endemicExchange, PENDING_WITHDRAWAL_CREDITED)
+        .withArgs(
+          royaltiesProviderContract.address,
+          ethers.utils.parseUnits('0.02')
+        );
+
+      expect(await nftContract.ownerOf(1)).to.equal(user2.address);
+      expect(
+        await endemicExchange.getPendingWithdrawal(
+          royaltiesProviderContract.address
+        )
+      ).to.equal(ethers.utils.parseUnits('0.02'));
+
+      // Pending withdrawals are not available for sweeping
+      await expect(
+        endemicExchange.sweepEther(owner.address, 1)
+      ).to.be.revertedWith(INVALID_AMOUNT_ERROR);
+
+      // Recipient is able to receive ether after its code is replaced with STOP
+      await network.provider.send('hardhat_setCode', [
+        royaltiesProviderContract.address,
+        '0x00',
+      ]);
+      await network.provider.send('hardhat_impersonateAccount', [
+        royaltiesProviderContract.address,
+      ]);
+      await network.provider.send('hardhat_setBalance', [
+        royaltiesProviderContract.address,
+        ethers.utils.hexValue(ethers.utils.parseUnits('1')),
+      ]);
+
+      const recipient = await ethers.getSigner(
+        royaltiesProviderContract.address
+      );
+
+      await expect(endemicExchange.connect(recipient).withdrawPendingFunds())
+        .to.emit(endemicExchange, PENDING_WITHDRAWAL_CLAIMED)
+        .withArgs(
+          royaltiesProviderContract.address,
+          ethers.utils.parseUnits('0.02')
+        );
+
+      expect(
+        await endemicExchange.getPendingWithdrawal(
+          royaltiesProviderContract.address
+        )
+      ).to.equal(0);
+
+      await expect(
+        endemicExchange.connect(recipient).withdrawPendingFunds()
+      ).to.be.revertedWith(INVALID_AMOUNT_ERROR);
+    });
+
+    it('should credit royalties recipient that uses too much gas', async () => {
+      const recipient = ethers.Wallet.createRandom().address;
+
+      // Receiving code loops until it runs out of gas
+      await network.provider.send('hardhat_setCode', [recipient, '0x5b600056']);
+
+      await royaltiesProviderContract.setRoyaltiesForCollection(
+        nftContract.address,
+        recipient,
+        1000
+      );
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+      const auctionid = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      await expect(
+        endemicExchange.connect(user2).bid(auctionid, 1, {
+          value: ethers.utils.parseUnits('0.206'),
+          gasLimit: 1000000,
+        })
+      )
+        .to.emit(endemicExchange, PENDING_WITHDRAWAL_CREDITED)
+        .withArgs(recipient, ethers.utils.parseUnits('0.02'));
+
+      expect(await nftContract.ownerOf(1)).to.equal(user2.address);
+      expect(await endemicExchange.getPendingWithdrawal(recipient)).to.equal(
+        ethers.utils.parseUnits('0.02')
+      );
+    });
+
     it('should distribute royalties on dutch auction', async () => {
       await endemicExchange
         .connect(user1)
@@ -3286,4 +3657,1703 @@ describe('ExchangeAuction', function () {
       );
     });
   });
+
+  describe('Update auction', function () {
+    let dutchAuctionId, englishAuctionId;
+
+    beforeEach(async function () {
+      await deploy(250, 300);
+
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+
+      await nftContract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, true);
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('1'),
+          ethers.utils.parseUnits('0.5'),
+          120,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      await endemicExchange
+        .connect(user1)
+        .createEnglishAuction(
+          nftContract.address,
+          2,
+          ethers.utils.parseUnits('1'),
+          120,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      dutchAuctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+      englishAuctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        2,
+        user1.address
+      );
+    });
+
+    it('should update Dutch auction and restart it', async function () {
+      await network.provider.send('evm_increaseTime', [60]);
+      await network.provider.send('evm_mine');
+
+      const updateTx = await endemicExchange
+        .connect(user1)
+        .updateAuction(
+          dutchAuctionId,
+          ethers.utils.parseUnits('2'),
+          ethers.utils.parseUnits('2'),
+          300,
+          endemicToken.address
+        );
+      const receipt = await updateTx.wait();
+      const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+
+      await expect(updateTx)
+        .to.emit(endemicExchange, AUCTION_UPDATED)
+        .withArgs(
+          dutchAuctionId,
+          ethers.utils.parseUnits('2'),
+          ethers.utils.parseUnits('2'),
+          300,
+          endemicToken.address,
+          timestamp,
+          0
+        );
+
+      const auction = await endemicExchange.getAuction(dutchAuctionId);
+      expect(auction.startedAt).to.equal(timestamp);
+      expect(auction.duration).to.equal(300);
+      expect(auction.paymentErc20TokenAddress).to.equal(endemicToken.address);
+      expect(await endemicExchange.getCurrentPrice(dutchAuctionId)).to.equal(
+        ethers.utils.parseUnits('2')
+      );
+    });
+
+    it('should update English auction end time', async function () {
+      const updateTx = await endemicExchange
+        .connect(user1)
+        .updateAuction(
+          englishAuctionId,
+          ethers.utils.parseUnits('0.5'),
+          ethers.utils.parseUnits('0.5'),
+          600,
+          ZERO_ADDRESS
+        );
+      const receipt = await updateTx.wait();
+      const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+
+      const auction = await endemicExchange.getAuction(englishAuctionId);
+      expect(auction.endingAt).to.equal(timestamp + 600);
+      expect(auction.startingPrice).to.equal(ethers.utils.parseUnits('0.5'));
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .updateAuction(
+            englishAuctionId,
+            ethers.utils.parseUnits('1'),
+            ethers.utils.parseUnits('0.5'),
+            600,
+            ZERO_ADDRESS
+          )
+      ).to.be.revertedWith(INVALID_PRICE_CONFIGURATION_ERROR);
+
+      await endemicExchange
+        .connect(user2)
+        .placeBid(englishAuctionId, ethers.utils.parseUnits('0.5'), {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .updateAuction(
+            englishAuctionId,
+            ethers.utils.parseUnits('0.1'),
+            ethers.utils.parseUnits('0.1'),
+            600,
+            ZERO_ADDRESS
+          )
+      ).to.be.revertedWith(AUCTION_IN_PROGRESS_ERROR);
+    });
+
+    it('should fail to update auction with invalid parameters', async function () {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .updateAuction(
+            dutchAuctionId,
+            ethers.utils.parseUnits('1'),
+            ethers.utils.parseUnits('1'),
+            120,
+            ZERO_ADDRESS
+          )
+      ).to.be.revertedWith(UNAUTHORIZED_ERROR);
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .updateAuction(
+            dutchAuctionId,
+            ethers.utils.parseUnits('1'),
+            ethers.utils.parseUnits('1'),
+            10,
+            ZERO_ADDRESS
+          )
+      ).to.be.revertedWith(INVALID_DURATION_ERROR);
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .updateAuction(
+            dutchAuctionId,
+            ethers.utils.parseUnits('1'),
+            ethers.utils.parseUnits('1'),
+            120,
+            user3.address
+          )
+      ).to.be.revertedWith(INVALID_PAYMENT_METHOD);
+
+      await endemicExchange.connect(user1).cancelAuction(dutchAuctionId);
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .updateAuction(
+            dutchAuctionId,
+            ethers.utils.parseUnits('1'),
+            ethers.utils.parseUnits('1'),
+            120,
+            ZERO_ADDRESS
+          )
+      ).to.be.revertedWith(INVALID_AUCTION_ERROR);
+    });
+  });
+
+  describe('Stale auctions', function () {
+    let erc721AuctionId, englishAuctionId, erc1155AuctionId;
+
+    beforeEach(async function () {
+      await deploy(250, 300);
+
+      await nftContract.connect(user1).approve(endemicExchange.address, 1);
+      await nftContract.connect(user1).approve(endemicExchange.address, 2);
+      await erc1155Contract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, true);
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('1'),
+          ethers.utils.parseUnits('1'),
+          120,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      await endemicExchange
+        .connect(user1)
+        .createEnglishAuction(
+          nftContract.address,
+          2,
+          ethers.utils.parseUnits('1'),
+          120,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          erc1155Contract.address,
+          1,
+          ethers.utils.parseUnits('1'),
+          ethers.utils.parseUnits('1'),
+          120,
+          3,
+          ZERO_ADDRESS,
+          ERC1155_ASSET_CLASS
+        );
+
+      erc721AuctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+      englishAuctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        2,
+        user1.address
+      );
+      erc1155AuctionId = await endemicExchange.createAuctionId(
+        erc1155Contract.address,
+        1,
+        user1.address
+      );
+    });
+
+    it('should validate auctions against ownership and approval', async function () {
+      const unknownAuctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        3,
+        user1.address
+      );
+
+      expect(
+        await endemicExchange.validateAuctions([
+          erc721AuctionId,
+          englishAuctionId,
+          erc1155AuctionId,
+          unknownAuctionId,
+        ])
+      ).to.deep.equal([true, true, true, false]);
+
+      await nftContract
+        .connect(user1)
+        .transferFrom(user1.address, user3.address, 1);
+      await nftContract.connect(user1).approve(ZERO_ADDRESS, 2);
+      await erc1155Contract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, false);
+
+      expect(
+        await endemicExchange.validateAuctions([
+          erc721AuctionId,
+          englishAuctionId,
+          erc1155AuctionId,
+        ])
+      ).to.deep.equal([false, false, false]);
+    });
+
+    it('should purge invalid auctions and refund their bids', async function () {
+      await endemicExchange
+        .connect(user2)
+        .placeBid(englishAuctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await nftContract
+        .connect(user1)
+        .transferFrom(user1.address, user3.address, 1);
+      await nftContract.connect(user1).approve(ZERO_ADDRESS, 2);
+
+      const user2Balance1 = await user2.getBalance();
+
+      const purgeTx = await endemicExchange
+        .connect(user3)
+        .purgeInvalidAuctions([
+          erc721AuctionId,
+          englishAuctionId,
+          erc1155AuctionId,
+        ]);
+
+      await expect(purgeTx)
+        .to.emit(endemicExchange, AUCTION_CANCELED)
+        .withArgs(erc721AuctionId);
+      await expect(purgeTx)
+        .to.emit(endemicExchange, AUCTION_CANCELED)
+        .withArgs(englishAuctionId);
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance2.sub(user2Balance1)).to.equal(
+        ethers.utils.parseUnits('1.03')
+      );
+
+      await expect(
+        endemicExchange.getAuction(erc721AuctionId)
+      ).to.be.revertedWith(INVALID_AUCTION_ERROR);
+      await expect(
+        endemicExchange.getAuction(englishAuctionId)
+      ).to.be.revertedWith(INVALID_AUCTION_ERROR);
+
+      const auction = await endemicExchange.getAuction(erc1155AuctionId);
+      expect(auction.seller).to.equal(user1.address);
+    });
+  });
+
+  describe('Scheduled auctions', function () {
+    let startAt;
+
+    beforeEach(async function () {
+      await deploy(250, 300);
+
+      await nftContract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, true);
+
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      startAt = timestamp + 3600;
+    });
+
+    it('should not sell Dutch auction before start time', async function () {
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .createScheduledAuction(
+            nftContract.address,
+            1,
+            ethers.utils.parseUnits('1'),
+            ethers.utils.parseUnits('0.5'),
+            120,
+            1,
+            ZERO_ADDRESS,
+            ERC721_ASSET_CLASS,
+            startAt
+          )
+      ).to.emit(endemicExchange, AUCTION_SCHEDULED);
+
+      const auctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      const auction = await endemicExchange.getAuction(auctionId);
+      expect(auction.startedAt).to.equal(startAt);
+
+      await expect(
+        endemicExchange.connect(user2).bid(auctionId, 1, {
+          value: ethers.utils.parseUnits('1.03'),
+        })
+      ).to.be.revertedWith(AUCTION_NOT_STARTED_ERROR);
+
+      await network.provider.send('evm_setNextBlockTimestamp', [startAt + 60]);
+      await network.provider.send('evm_mine');
+
+      // Price decay starts at start time
+      expect(await endemicExchange.getCurrentPrice(auctionId)).to.be.closeTo(
+        ethers.utils.parseUnits('0.75'),
+        ethers.utils.parseUnits('0.01')
+      );
+
+      await endemicExchange.connect(user2).bid(auctionId, 1, {
+        value: ethers.utils.parseUnits('1.03'),
+      });
+
+      expect(await nftContract.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it('should not accept English auction bids before start time', async function () {
+      await endemicExchange
+        .connect(user1)
+        .createScheduledEnglishAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('1'),
+          120,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS,
+          startAt
+        );
+
+      const auctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      const auction = await endemicExchange.getAuction(auctionId);
+      expect(auction.endingAt).to.equal(startAt + 120);
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeBid(auctionId, ethers.utils.parseUnits('1'), {
+            value: ethers.utils.parseUnits('1.03'),
+          })
+      ).to.be.revertedWith(AUCTION_NOT_STARTED_ERROR);
+
+      await network.provider.send('evm_setNextBlockTimestamp', [startAt]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeBid(auctionId, ethers.utils.parseUnits('1'), {
+            value: ethers.utils.parseUnits('1.03'),
+          })
+      ).to.emit(endemicExchange, AUCTION_BID);
+    });
+
+    it('should fail to schedule auction in the past', async function () {
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .createScheduledAuction(
+            nftContract.address,
+            1,
+            ethers.utils.parseUnits('1'),
+            ethers.utils.parseUnits('1'),
+            120,
+            1,
+            ZERO_ADDRESS,
+            ERC721_ASSET_CLASS,
+            startAt - 7200
+          )
+      ).to.be.revertedWith(INVALID_START_TIME_ERROR);
+    });
+  });
+
+  describe('Hidden reserve price', function () {
+    let auctionId;
+
+    const salt = ethers.utils.formatBytes32String('salt');
+
+    beforeEach(async function () {
+      await deploy(250, 300);
+      await nftContract.connect(user1).approve(endemicExchange.address, 1);
+
+      auctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      const reservePriceHash = await endemicExchange.hashReservePrice(
+        auctionId,
+        ethers.utils.parseUnits('1.5'),
+        salt
+      );
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .createEnglishAuctionWithReserve(
+            nftContract.address,
+            1,
+            ethers.utils.parseUnits('1'),
+            120,
+            1,
+            ZERO_ADDRESS,
+            ERC721_ASSET_CLASS,
+            reservePriceHash
+          )
+      )
+        .to.emit(endemicExchange, RESERVE_PRICE_COMMITTED)
+        .withArgs(auctionId, reservePriceHash);
+    });
+
+    it('should settle auction when reserve price is met', async function () {
+      await endemicExchange
+        .connect(user2)
+        .placeBid(auctionId, ethers.utils.parseUnits('2'), {
+          value: ethers.utils.parseUnits('2.06'),
+        });
+
+      await network.provider.send('evm_increaseTime', [121]);
+      await network.provider.send('evm_mine');
+
+      await expect(endemicExchange.settleAuction(auctionId)).to.be.revertedWith(
+        RESERVE_PRICE_NOT_REVEALED_ERROR
+      );
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .revealReservePrice(auctionId, ethers.utils.parseUnits('1.5'), salt)
+      )
+        .to.emit(endemicExchange, RESERVE_PRICE_REVEALED)
+        .withArgs(auctionId, ethers.utils.parseUnits('1.5'));
+
+      const settleTx = await endemicExchange.settleAuction(auctionId);
+
+      await expect(settleTx)
+        .to.emit(endemicExchange, RESERVE_PRICE_CHECKED)
+        .withArgs(auctionId, ethers.utils.parseUnits('2'), true);
+      await expect(settleTx).to.emit(endemicExchange, AUCTION_SETTLED);
+
+      expect(await nftContract.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it('should refund bid and keep auction when reserve price is not met', async function () {
+      await endemicExchange
+        .connect(user2)
+        .placeBid(auctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await endemicExchange
+        .connect(user1)
+        .revealReservePrice(auctionId, ethers.utils.parseUnits('1.5'), salt);
+
+      await network.provider.send('evm_increaseTime', [121]);
+      await network.provider.send('evm_mine');
+
+      const user2Balance1 = await user2.getBalance();
+
+      await expect(endemicExchange.settleAuction(auctionId))
+        .to.emit(endemicExchange, RESERVE_PRICE_CHECKED)
+        .withArgs(auctionId, ethers.utils.parseUnits('1'), false);
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance2.sub(user2Balance1)).to.equal(
+        ethers.utils.parseUnits('1.03')
+      );
+
+      expect(await nftContract.ownerOf(1)).to.equal(user1.address);
+
+      const auction = await endemicExchange.getAuction(auctionId);
+      expect(auction.seller).to.equal(user1.address);
+
+      await expect(
+        endemicExchange.connect(user1).cancelAuction(auctionId)
+      ).to.emit(endemicExchange, AUCTION_CANCELED);
+    });
+
+    it('should refund bid when reserve price is not revealed in time', async function () {
+      await endemicExchange
+        .connect(user2)
+        .placeBid(auctionId, ethers.utils.parseUnits('2'), {
+          value: ethers.utils.parseUnits('2.06'),
+        });
+
+      await network.provider.send('evm_increaseTime', [121 + 86400]);
+      await network.provider.send('evm_mine');
+
+      const user2Balance1 = await user2.getBalance();
+
+      await expect(endemicExchange.settleAuction(auctionId))
+        .to.emit(endemicExchange, RESERVE_PRICE_CHECKED)
+        .withArgs(auctionId, ethers.utils.parseUnits('2'), false);
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance2.sub(user2Balance1)).to.equal(
+        ethers.utils.parseUnits('2.06')
+      );
+      expect(await nftContract.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it('should fail to reveal invalid reserve price', async function () {
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .revealReservePrice(auctionId, ethers.utils.parseUnits('1'), salt)
+      ).to.be.revertedWith(INVALID_RESERVE_PRICE_ERROR);
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .revealReservePrice(auctionId, ethers.utils.parseUnits('1.5'), salt)
+      ).to.be.revertedWith(UNAUTHORIZED_ERROR);
+    });
+  });
+
+  describe('Bundle auctions', function () {
+    let items;
+
+    beforeEach(async function () {
+      await deploy(250, 300);
+
+      await nftContract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, true);
+      await erc1155Contract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, true);
+
+      items = [
+        {
+          nftContract: nftContract.address,
+          tokenId: 1,
+          amount: 1,
+          assetClass: ERC721_ASSET_CLASS,
+        },
+        {
+          nftContract: nftContract.address,
+          tokenId: 2,
+          amount: 1,
+          assetClass: ERC721_ASSET_CLASS,
+        },
+        {
+          nftContract: erc1155Contract.address,
+          tokenId: 1,
+          amount: 2,
+          assetClass: ERC1155_ASSET_CLASS,
+        },
+      ];
+    });
+
+    it('should create bundle auction', async function () {
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .createBundleAuction(
+            items,
+            ethers.utils.parseUnits('3'),
+            ethers.utils.parseUnits('3'),
+            60,
+            ZERO_ADDRESS
+          )
+      )
+        .to.emit(endemicExchange, BUNDLE_AUCTION_CREATED)
+        .withArgs(
+          1,
+          user1.address,
+          ethers.utils.parseUnits('3'),
+          ethers.utils.parseUnits('3'),
+          60,
+          ZERO_ADDRESS,
+          3
+        );
+
+      const bundle = await endemicExchange.getBundleAuction(1);
+      expect(bundle.seller).to.equal(user1.address);
+      expect(bundle.items.length).to.equal(3);
+      expect(bundle.items[2].amount).to.equal(2);
+    });
+
+    it('should fail to create bundle auction with invalid items', async function () {
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .createBundleAuction(
+            [items[0]],
+            ethers.utils.parseUnits('3'),
+            ethers.utils.parseUnits('3'),
+            60,
+            ZERO_ADDRESS
+          )
+      ).to.be.revertedWith(INVALID_AMOUNT_ERROR);
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .createBundleAuction(
+            items,
+            ethers.utils.parseUnits('3'),
+            ethers.utils.parseUnits('3'),
+            60,
+            ZERO_ADDRESS
+          )
+      ).to.be.revertedWith(SELLER_NOT_ASSET_OWNER);
+    });
+
+    it('should sell all bundle items with royalties per item', async function () {
+      await royaltiesProviderContract.setRoyaltiesForCollection(
+        nftContract.address,
+        user3.address,
+        1000
+      );
+
+      await endemicExchange
+        .connect(user1)
+        .createBundleAuction(
+          items,
+          ethers.utils.parseUnits('3'),
+          ethers.utils.parseUnits('3'),
+          60,
+          ZERO_ADDRESS
+        );
+
+      await expect(
+        endemicExchange.bidForBundle(1, {
+          value: ethers.utils.parseUnits('3'),
+        })
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED_ERROR);
+
+      const feeBalance1 = await ethers.provider.getBalance(FEE_RECIPIENT);
+      const user3Balance1 = await user3.getBalance();
+
+      // Each item is sold for 1 ETH, 2.5% maker and 3% taker fee
+      await expect(
+        endemicExchange.bidForBundle(1, {
+          value: ethers.utils.parseUnits('3.09'),
+        })
+      )
+        .to.emit(endemicExchange, BUNDLE_AUCTION_SUCCESSFUL)
+        .withArgs(
+          1,
+          ethers.utils.parseUnits('3'),
+          owner.address,
+          ethers.utils.parseUnits('0.165')
+        );
+
+      expect(await nftContract.ownerOf(1)).to.equal(owner.address);
+      expect(await nftContract.ownerOf(2)).to.equal(owner.address);
+      expect(await erc1155Contract.balanceOf(owner.address, 1)).to.equal(2);
+
+      const feeBalance2 = await ethers.provider.getBalance(FEE_RECIPIENT);
+      const user3Balance2 = await user3.getBalance();
+
+      expect(feeBalance2.sub(feeBalance1)).to.equal(
+        ethers.utils.parseUnits('0.165')
+      );
+      // 10% royalties of both ERC721 items
+      expect(user3Balance2.sub(user3Balance1)).to.equal(
+        ethers.utils.parseUnits('0.2')
+      );
+
+      await expect(endemicExchange.getBundleAuction(1)).to.be.revertedWith(
+        INVALID_AUCTION_ERROR
+      );
+    });
+
+    it('should not sell any item when one is unavailable', async function () {
+      await endemicExchange
+        .connect(user1)
+        .createBundleAuction(
+          items,
+          ethers.utils.parseUnits('3'),
+          ethers.utils.parseUnits('3'),
+          60,
+          ZERO_ADDRESS
+        );
+
+      await nftContract
+        .connect(user1)
+        .transferFrom(user1.address, user3.address, 2);
+
+      await expect(
+        endemicExchange.bidForBundle(1, {
+          value: ethers.utils.parseUnits('3.09'),
+        })
+      ).to.be.reverted;
+
+      expect(await nftContract.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it('should cancel bundle auction when seller', async function () {
+      await endemicExchange
+        .connect(user1)
+        .createBundleAuction(
+          items,
+          ethers.utils.parseUnits('3'),
+          ethers.utils.parseUnits('3'),
+          60,
+          ZERO_ADDRESS
+        );
+
+      await expect(
+        endemicExchange.connect(user2).cancelBundleAuction(1)
+      ).to.be.revertedWith(UNAUTHORIZED_ERROR);
+
+      await expect(endemicExchange.connect(user1).cancelBundleAuction(1))
+        .to.emit(endemicExchange, BUNDLE_AUCTION_CANCELLED)
+        .withArgs(1);
+    });
+  });
+
+  describe('English auction', function () {
+    let erc721AuctionId, erc1155AuctionId;
+
+    beforeEach(async function () {
+      await deploy(250, 300);
+      await nftContract.connect(user1).approve(endemicExchange.address, 1);
+      await erc1155Contract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, true);
+
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+
+      await endemicExchange
+        .connect(user1)
+        .createEnglishAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('1'),
+          120,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      await endemicExchange
+        .connect(user1)
+        .createEnglishAuction(
+          erc1155Contract.address,
+          1,
+          ethers.utils.parseUnits('1'),
+          120,
+          3,
+          endemicToken.address,
+          ERC1155_ASSET_CLASS
+        );
+
+      erc721AuctionId = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      erc1155AuctionId = await endemicExchange.createAuctionId(
+        erc1155Contract.address,
+        1,
+        user1.address
+      );
+    });
+
+    it('should create English auction with end time', async function () {
+      const auction = await endemicExchange.getAuction(erc721AuctionId);
+
+      expect(auction.auctionType).to.equal(1);
+      expect(auction.endingAt).to.equal(auction.startedAt.add(120));
+      expect(await endemicExchange.getCurrentPrice(erc721AuctionId)).to.equal(
+        ethers.utils.parseUnits('1')
+      );
+    });
+
+    it('should fail to buy English auction directly', async function () {
+      await expect(
+        endemicExchange.connect(user2).bid(erc721AuctionId, 1, {
+          value: ethers.utils.parseUnits('1.03'),
+        })
+      ).to.be.revertedWith(INVALID_AUCTION_ERROR);
+    });
+
+    it('should fail to bid below reserve price', async function () {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeBid(erc721AuctionId, ethers.utils.parseUnits('0.9'), {
+            value: ethers.utils.parseUnits('0.927'),
+          })
+      ).to.be.revertedWith(BID_TOO_LOW_ERROR);
+    });
+
+    it('should fail to bid without taker fee', async function () {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeBid(erc721AuctionId, ethers.utils.parseUnits('1'), {
+            value: ethers.utils.parseUnits('1'),
+          })
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED_ERROR);
+    });
+
+    it('should refund previous bidder when outbid', async function () {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeBid(erc721AuctionId, ethers.utils.parseUnits('1'), {
+            value: ethers.utils.parseUnits('1.03'),
+          })
+      )
+        .to.emit(endemicExchange, AUCTION_BID)
+        .withArgs(erc721AuctionId, user2.address, ethers.utils.parseUnits('1'));
+
+      // Minimal raise is 5%
+      await expect(
+        endemicExchange
+          .connect(user3)
+          .placeBid(erc721AuctionId, ethers.utils.parseUnits('1.04'), {
+            value: ethers.utils.parseUnits('1.0712'),
+          })
+      ).to.be.revertedWith(BID_TOO_LOW_ERROR);
+
+      const user2Balance1 = await user2.getBalance();
+
+      await expect(
+        endemicExchange
+          .connect(user3)
+          .placeBid(erc721AuctionId, ethers.utils.parseUnits('1.05'), {
+            value: ethers.utils.parseUnits('1.0815'),
+          })
+      )
+        .to.emit(endemicExchange, AUCTION_OUTBID)
+        .withArgs(
+          erc721AuctionId,
+          user2.address,
+          ethers.utils.parseUnits('1.03')
+        );
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance2.sub(user2Balance1)).to.equal(
+        ethers.utils.parseUnits('1.03')
+      );
+
+      const highestBid = await endemicExchange.getHighestBid(erc721AuctionId);
+      expect(highestBid.bidder).to.equal(user3.address);
+      expect(highestBid.price).to.equal(ethers.utils.parseUnits('1.05'));
+    });
+
+    it('should fail to cancel or recreate auction with bids', async function () {
+      await endemicExchange
+        .connect(user2)
+        .placeBid(erc721AuctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await expect(
+        endemicExchange.connect(user1).cancelAuction(erc721AuctionId)
+      ).to.be.revertedWith(AUCTION_IN_PROGRESS_ERROR);
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .createAuction(
+            nftContract.address,
+            1,
+            ethers.utils.parseUnits('0.1'),
+            ethers.utils.parseUnits('0.1'),
+            60,
+            1,
+            ZERO_ADDRESS,
+            ERC721_ASSET_CLASS
+          )
+      ).to.be.revertedWith(AUCTION_IN_PROGRESS_ERROR);
+    });
+
+    it('should fail to bid or settle at wrong time', async function () {
+      await endemicExchange
+        .connect(user2)
+        .placeBid(erc721AuctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await expect(
+        endemicExchange.settleAuction(erc721AuctionId)
+      ).to.be.revertedWith(AUCTION_NOT_ENDED_ERROR);
+
+      await network.provider.send('evm_increaseTime', [120]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange
+          .connect(user3)
+          .placeBid(erc721AuctionId, ethers.utils.parseUnits('2'), {
+            value: ethers.utils.parseUnits('2.06'),
+          })
+      ).to.be.revertedWith(AUCTION_ENDED_ERROR);
+    });
+
+    it('should settle ERC721 auction with Ether', async function () {
+      await endemicExchange
+        .connect(user2)
+        .placeBid(erc721AuctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await network.provider.send('evm_increaseTime', [120]);
+      await network.provider.send('evm_mine');
+
+      const feeBalance1 = await endemicExchange.provider.getBalance(
+        FEE_RECIPIENT
+      );
+
+      // maker fee is 2.5% = 0.025, taker fee is 3% = 0.03
+      await expect(
+        endemicExchange.connect(user3).settleAuction(erc721AuctionId)
+      )
+        .to.emit(endemicExchange, AUCTION_SETTLED)
+        .withArgs(
+          erc721AuctionId,
+          ethers.utils.parseUnits('1'),
+          user2.address,
+          1,
+          ethers.utils.parseUnits('0.055')
+        );
+
+      expect(await nftContract.ownerOf(1)).to.equal(user2.address);
+
+      const feeBalance2 = await endemicExchange.provider.getBalance(
+        FEE_RECIPIENT
+      );
+      expect(feeBalance2.sub(feeBalance1)).to.equal(
+        ethers.utils.parseUnits('0.055')
+      );
+
+      await expect(
+        endemicExchange.getAuction(erc721AuctionId)
+      ).to.be.revertedWith(INVALID_AUCTION_ERROR);
+    });
+
+    it('should settle ERC1155 auction with ERC20', async function () {
+      await endemicToken.transfer(
+        user2.address,
+        ethers.utils.parseUnits('1.03')
+      );
+      await endemicToken
+        .connect(user2)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('1.03'));
+
+      await endemicExchange
+        .connect(user2)
+        .placeBid(erc1155AuctionId, ethers.utils.parseUnits('1'));
+
+      expect(await endemicToken.balanceOf(endemicExchange.address)).to.equal(
+        ethers.utils.parseUnits('1.03')
+      );
+
+      await network.provider.send('evm_increaseTime', [120]);
+      await network.provider.send('evm_mine');
+
+      await endemicExchange.settleAuction(erc1155AuctionId);
+
+      expect(await erc1155Contract.balanceOf(user2.address, 1)).to.equal(3);
+      expect(await endemicToken.balanceOf(FEE_RECIPIENT)).to.equal(
+        ethers.utils.parseUnits('0.055')
+      );
+      expect(await endemicToken.balanceOf(endemicExchange.address)).to.equal(0);
+    });
+
+    it('should refund bidder on settlement if seller no longer owns NFT', async function () {
+      await endemicExchange
+        .connect(user2)
+        .placeBid(erc721AuctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await nftContract
+        .connect(user1)
+        .transferFrom(user1.address, user3.address, 1);
+
+      await network.provider.send('evm_increaseTime', [120]);
+      await network.provider.send('evm_mine');
+
+      const user2Balance1 = await user2.getBalance();
+
+      await expect(endemicExchange.settleAuction(erc721AuctionId))
+        .to.emit(endemicExchange, AUCTION_CANCELED)
+        .withArgs(erc721AuctionId);
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance2.sub(user2Balance1)).to.equal(
+        ethers.utils.parseUnits('1.03')
+      );
+    });
+
+    it('should extend auction when bid is placed in extension window', async function () {
+      // Bids in last 60 seconds leave 300 seconds until the end
+      await endemicExchange.updateAuctionExtension(60, 300);
+
+      await endemicExchange
+        .connect(user2)
+        .placeBid(erc721AuctionId, ethers.utils.parseUnits('1'), {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      const auction1 = await endemicExchange.getAuction(erc721AuctionId);
+      expect(auction1.endingAt).to.equal(auction1.startedAt.add(120));
+
+      await network.provider.send('evm_increaseTime', [90]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange
+          .connect(user3)
+          .placeBid(erc721AuctionId, ethers.utils.parseUnits('2'), {
+            value: ethers.utils.parseUnits('2.06'),
+          })
+      ).to.emit(endemicExchange, AUCTION_EXTENDED);
+
+      const auction2 = await endemicExchange.getAuction(erc721AuctionId);
+      expect(auction2.endingAt).to.be.gt(auction1.endingAt);
+
+      await network.provider.send('evm_increaseTime', [60]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange.settleAuction(erc721AuctionId)
+      ).to.be.revertedWith(AUCTION_NOT_ENDED_ERROR);
+    });
+  });
+
+  describe('Batch bid', function () {
+    let erc721AuctionId1, erc721AuctionId2, erc1155AuctionId;
+
+    beforeEach(async function () {
+      await deploy();
+      await nftContract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, true);
+      await erc1155Contract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, true);
+
+      const price = ethers.utils.parseUnits('0.1');
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          price,
+          price,
+          120,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          2,
+          price,
+          price,
+          120,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          erc1155Contract.address,
+          1,
+          price,
+          price,
+          120,
+          3,
+          ZERO_ADDRESS,
+          ERC1155_ASSET_CLASS
+        );
+
+      erc721AuctionId1 = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+      erc721AuctionId2 = await endemicExchange.createAuctionId(
+        nftContract.address,
+        2,
+        user1.address
+      );
+      erc1155AuctionId = await endemicExchange.createAuctionId(
+        erc1155Contract.address,
+        1,
+        user1.address
+      );
+    });
+
+    it('should buy from multiple auctions and refund unused ether', async function () {
+      const user2Balance1 = await user2.getBalance();
+
+      const tx = await endemicExchange
+        .connect(user2)
+        .batchBid(
+          [erc721AuctionId1, erc721AuctionId2, erc1155AuctionId],
+          [1, 1, 2],
+          ZERO_ADDRESS,
+          false,
+          {
+            value: ethers.utils.parseUnits('1'),
+          }
+        );
+
+      await expect(tx).to.emit(endemicExchange, AUCTION_SUCCESFUL);
+
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      expect(await nftContract.ownerOf(1)).to.equal(user2.address);
+      expect(await nftContract.ownerOf(2)).to.equal(user2.address);
+      expect(await erc1155Contract.balanceOf(user2.address, 1)).to.equal(2);
+
+      // 4 tokens for 0.1 with 3% taker fee
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance1.sub(user2Balance2).sub(gasCost)).to.equal(
+        ethers.utils.parseUnits('0.412')
+      );
+    });
+
+    it('should fail to buy with insufficient value', async function () {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .batchBid(
+            [erc721AuctionId1, erc721AuctionId2],
+            [1, 1],
+            ZERO_ADDRESS,
+            false,
+            {
+              value: ethers.utils.parseUnits('0.2'),
+            }
+          )
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED_ERROR);
+    });
+
+    it('should fail to buy with different parameters size', async function () {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .batchBid(
+            [erc721AuctionId1, erc721AuctionId2],
+            [1],
+            ZERO_ADDRESS,
+            false,
+            {
+              value: ethers.utils.parseUnits('0.206'),
+            }
+          )
+      ).to.be.revertedWith(PARAMETERS_DIFF_IN_SIZE_ERROR);
+    });
+
+    it('should revert all purchases when auction is unavailable', async function () {
+      await endemicExchange.connect(user1).cancelAuction(erc721AuctionId2);
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .batchBid(
+            [erc721AuctionId1, erc721AuctionId2],
+            [1, 1],
+            ZERO_ADDRESS,
+            false,
+            {
+              value: ethers.utils.parseUnits('0.206'),
+            }
+          )
+      ).to.be.revertedWith(INVALID_AUCTION_ERROR);
+
+      expect(await nftContract.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it('should skip unavailable auctions', async function () {
+      await endemicExchange.connect(user1).cancelAuction(erc721AuctionId2);
+      await nftContract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, false);
+
+      const user2Balance1 = await user2.getBalance();
+
+      const tx = await endemicExchange
+        .connect(user2)
+        .batchBid(
+          [erc721AuctionId1, erc721AuctionId2, erc1155AuctionId],
+          [1, 1, 1],
+          ZERO_ADDRESS,
+          true,
+          {
+            value: ethers.utils.parseUnits('0.309'),
+          }
+        );
+
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      expect(await nftContract.ownerOf(1)).to.equal(user1.address);
+      expect(await erc1155Contract.balanceOf(user2.address, 1)).to.equal(1);
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance1.sub(user2Balance2).sub(gasCost)).to.equal(
+        ethers.utils.parseUnits('0.103')
+      );
+    });
+
+    it('should buy from multiple auctions with ERC20', async function () {
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+
+      const price = ethers.utils.parseUnits('0.1');
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          price,
+          price,
+          120,
+          1,
+          endemicToken.address,
+          ERC721_ASSET_CLASS
+        );
+
+      await endemicToken.transfer(
+        user2.address,
+        ethers.utils.parseUnits('0.206')
+      );
+      await endemicToken
+        .connect(user2)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('0.206'));
+
+      // Second auction is paid in ether, so it is skipped
+      await endemicExchange
+        .connect(user2)
+        .batchBid(
+          [erc721AuctionId1, erc721AuctionId2],
+          [1, 1],
+          endemicToken.address,
+          true
+        );
+
+      expect(await nftContract.ownerOf(1)).to.equal(user2.address);
+      expect(await nftContract.ownerOf(2)).to.equal(user1.address);
+      expect(await endemicToken.balanceOf(user2.address)).to.equal(
+        ethers.utils.parseUnits('0.103')
+      );
+    });
+  });
+
+  describe('Primary sale splits', function () {
+    let auctionid;
+
+    beforeEach(async function () {
+      await deploy(250, 300);
+
+      // Collection owner sells token they minted to themselves
+      await mintERC721(owner.address);
+      await nftContract.connect(owner).approve(endemicExchange.address, 3);
+
+      await endemicExchange
+        .connect(owner)
+        .createAuction(
+          nftContract.address,
+          3,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      auctionid = await endemicExchange.createAuctionId(
+        nftContract.address,
+        3,
+        owner.address
+      );
+    });
+
+    it('should split proceeds of primary sale and waive royalties', async () => {
+      await endemicExchange.updatePrimarySaleSplits(
+        nftContract.address,
+        3,
+        owner.address,
+        [feeRecipient.address, user3.address],
+        [7000, 3000],
+        true
+      );
+
+      const ownerBal1 = await owner.getBalance();
+      const feeRecipientBalance1 = await feeRecipient.getBalance();
+      const user3Bal1 = await user3.getBalance();
+
+      await expect(
+        endemicExchange.connect(user2).bid(auctionid, 1, {
+          value: ethers.utils.parseUnits('0.206'),
+        })
+      )
+        .to.emit(endemicExchange, PRIMARY_SALE_COMPLETED)
+        .withArgs(nftContract.address, 3, owner.address);
+
+      const ownerBal2 = await owner.getBalance();
+      const feeRecipientBalance2 = await feeRecipient.getBalance();
+      const user3Bal2 = await user3.getBalance();
+
+      // 0.2 minus 2.5% maker fee is split 70/30
+      expect(ownerBal2.sub(ownerBal1)).to.equal(0);
+      expect(feeRecipientBalance2.sub(feeRecipientBalance1)).to.equal(
+        ethers.utils.parseUnits('0.1365')
+      );
+      expect(user3Bal2.sub(user3Bal1)).to.equal(
+        ethers.utils.parseUnits('0.0585')
+      );
+
+      expect(
+        await endemicExchange.primarySaleCompleted(nftContract.address, 3)
+      ).to.equal(true);
+    });
+
+    it('should apply primary sale split only once', async () => {
+      await endemicExchange.updateCollectionPrimarySaleSplits(
+        nftContract.address,
+        owner.address,
+        [user3.address],
+        [10000],
+        true
+      );
+
+      await endemicExchange.connect(user2).bid(auctionid, 1, {
+        value: ethers.utils.parseUnits('0.206'),
+      });
+
+      // Token is sold back to the original seller and auctioned again
+      await nftContract
+        .connect(user2)
+        .transferFrom(user2.address, owner.address, 3);
+      await nftContract.connect(owner).approve(endemicExchange.address, 3);
+      await endemicExchange
+        .connect(owner)
+        .createAuction(
+          nftContract.address,
+          3,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      const user3Bal1 = await user3.getBalance();
+
+      await expect(
+        endemicExchange.connect(user2).bid(auctionid, 1, {
+          value: ethers.utils.parseUnits('0.206'),
+        })
+      ).to.not.emit(endemicExchange, PRIMARY_SALE_COMPLETED);
+
+      const user3Bal2 = await user3.getBalance();
+      expect(user3Bal2.sub(user3Bal1)).to.equal(0);
+    });
+
+    it('should not apply primary sale split for other seller', async () => {
+      await endemicExchange.updatePrimarySaleSplits(
+        nftContract.address,
+        1,
+        owner.address,
+        [user3.address],
+        [10000],
+        false
+      );
+
+      await nftContract.connect(user1).approve(endemicExchange.address, 1);
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+      const user1Auctionid = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+
+      const user3Bal1 = await user3.getBalance();
+
+      await endemicExchange.connect(user2).bid(user1Auctionid, 1, {
+        value: ethers.utils.parseUnits('0.206'),
+      });
+
+      const user3Bal2 = await user3.getBalance();
+      expect(user3Bal2.sub(user3Bal1)).to.equal(0);
+      expect(
+        await endemicExchange.primarySaleCompleted(nftContract.address, 1)
+      ).to.equal(false);
+    });
+
+    it('should fail to update primary sale split with invalid shares', async () => {
+      await expect(
+        endemicExchange.updatePrimarySaleSplits(
+          nftContract.address,
+          3,
+          owner.address,
+          [owner.address, user3.address],
+          [7000, 2000],
+          false
+        )
+      ).to.be.revertedWith(INVALID_FEES_ERROR);
+
+      await expect(
+        endemicExchange.updatePrimarySaleSplits(
+          nftContract.address,
+          3,
+          owner.address,
+          [owner.address, user3.address],
+          [10000],
+          false
+        )
+      ).to.be.revertedWith(PARAMETERS_DIFF_IN_SIZE_ERROR);
+    });
+
+    it('should fail to update primary sale split when not collection owner', async () => {
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .updatePrimarySaleSplits(
+            nftContract.address,
+            1,
+            user1.address,
+            [user3.address],
+            [10000],
+            false
+          )
+      ).to.be.revertedWith(UNAUTHORIZED_ERROR);
+    });
+
+    it('should fail to update primary sale split of other seller', async () => {
+      await expect(
+        endemicExchange.updatePrimarySaleSplits(
+          nftContract.address,
+          1,
+          user1.address,
+          [user3.address],
+          [10000],
+          false
+        )
+      ).to.be.revertedWith(UNAUTHORIZED_ERROR);
+
+      await expect(
+        endemicExchange.updateCollectionPrimarySaleSplits(
+          nftContract.address,
+          user1.address,
+          [user3.address],
+          [10000],
+          false
+        )
+      ).to.be.revertedWith(UNAUTHORIZED_ERROR);
+    });
+  });
+
+  describe('Fee quotes', function () {
+    let auctionid;
+
+    beforeEach(async function () {
+      await deploy(250, 300);
+      await nftContract.connect(user1).approve(endemicExchange.address, 1);
+
+      await royaltiesProviderContract.setRoyaltiesForCollection(
+        nftContract.address,
+        feeRecipient.address,
+        1000
+      );
+
+      await endemicExchange
+        .connect(user1)
+        .createAuction(
+          nftContract.address,
+          1,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+
+      auctionid = await endemicExchange.createAuctionId(
+        nftContract.address,
+        1,
+        user1.address
+      );
+    });
+
+    it('should quote what buyer pays and seller receives', async function () {
+      const quote = await endemicExchange.getAuctionQuote(
+        auctionid,
+        1,
+        user2.address
+      );
+
+      expect(quote.price).to.equal(ethers.utils.parseUnits('0.2'));
+      expect(quote.buyerTotal).to.equal(ethers.utils.parseUnits('0.206'));
+      expect(quote.makerCut).to.equal(ethers.utils.parseUnits('0.005'));
+      expect(quote.takerCut).to.equal(ethers.utils.parseUnits('0.006'));
+      expect(quote.royaltiesRecipients).to.deep.equal([feeRecipient.address]);
+      expect(quote.royaltiesCuts[0]).to.equal(ethers.utils.parseUnits('0.02'));
+      expect(quote.sellerProceeds).to.equal(ethers.utils.parseUnits('0.175'));
+      expect(quote.isPrimarySale).to.equal(false);
+
+      const user1Bal1 = await user1.getBalance();
+
+      await endemicExchange.connect(user2).bid(auctionid, 1, {
+        value: quote.buyerTotal,
+      });
+
+      const user1Bal2 = await user1.getBalance();
+      expect(user1Bal2.sub(user1Bal1)).to.equal(quote.sellerProceeds);
+    });
+
+    it('should quote primary sale split without completing it', async function () {
+      await mintERC721(owner.address);
+      await nftContract.connect(owner).approve(endemicExchange.address, 3);
+      await endemicExchange
+        .connect(owner)
+        .createAuction(
+          nftContract.address,
+          3,
+          ethers.utils.parseUnits('0.2'),
+          ethers.utils.parseUnits('0.2'),
+          60,
+          1,
+          ZERO_ADDRESS,
+          ERC721_ASSET_CLASS
+        );
+      const primaryAuctionid = await endemicExchange.createAuctionId(
+        nftContract.address,
+        3,
+        owner.address
+      );
+
+      await endemicExchange.updatePrimarySaleSplits(
+        nftContract.address,
+        3,
+        owner.address,
+        [feeRecipient.address, user3.address],
+        [7000, 3000],
+        true
+      );
+
+      const quote = await endemicExchange.getAuctionQuote(
+        primaryAuctionid,
+        1,
+        user2.address
+      );
+
+      expect(quote.isPrimarySale).to.equal(true);
+      expect(quote.royaltiesRecipients).to.deep.equal([
+        feeRecipient.address,
+        user3.address,
+      ]);
+      expect(quote.royaltiesCuts[0]).to.equal(
+        ethers.utils.parseUnits('0.1365')
+      );
+      expect(quote.royaltiesCuts[1]).to.equal(
+        ethers.utils.parseUnits('0.0585')
+      );
+      expect(quote.sellerProceeds).to.equal(0);
+
+      expect(
+        await endemicExchange.primarySaleCompleted(nftContract.address, 3)
+      ).to.equal(false);
+    });
+
+    it('should fail to quote invalid auction or amount', async function () {
+      await expect(
+        endemicExchange.getAuctionQuote(auctionid, 0, user2.address)
+      ).to.be.revertedWith(INVALID_AMOUNT_ERROR);
+
+      await endemicExchange.connect(user1).cancelAuction(auctionid);
+
+      await expect(
+        endemicExchange.getAuctionQuote(auctionid, 1, user2.address)
+      ).to.be.revertedWith(INVALID_AUCTION_ERROR);
+    });
+  });
 });
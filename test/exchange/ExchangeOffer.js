@@ -1,24 +1,52 @@
 /* eslint-disable no-unexpected-multiline */
 const { expect } = require('chai');
-const { ethers } = require('hardhat');
+const { ethers, network } = require('hardhat');
 const {
   deployEndemicCollectionWithFactory,
   deployEndemicExchangeWithDeps,
   deployEndemicToken,
+  deployEndemicERC1155,
 } = require('../helpers/deploy');
 const { FEE_RECIPIENT, ZERO_ADDRESS } = require('../helpers/constants');
+const { ERC1155_ASSET_CLASS } = require('../helpers/ids');
+const { buildMerkleTree } = require('../helpers/merkle');
 
 const INVALID_OFFER_ERROR = 'InvalidOffer';
 const INVALID_VALUE_PROVIDED = 'InvalidValueProvided';
 const INVALID_TOKEN_OWNER = 'InvalidTokenOwner';
 const INVALID_PAYMENT_METHOD = 'InvalidPaymentMethod';
+const INVALID_AMOUNT = 'InvalidAmount';
+const SELLER_NOT_ASSET_OWNER = 'SellerNotAssetOwner';
+const INVALID_COUNTER_OFFER = 'InvalidCounterOffer';
+const INVALID_PROOF = 'InvalidProof';
 
 const OFFER_CREATED = 'OfferCreated';
 const OFFER_EXISTS = 'OfferExists';
 const OFFER_CANCELED = 'OfferCancelled';
 const OFFER_ACCEPTED = 'OfferAccepted';
+const OFFER_UPDATED = 'OfferUpdated';
+const COLLECTION_OFFER_CREATED = 'CollectionOfferCreated';
+const COLLECTION_OFFER_ACCEPTED = 'CollectionOfferAccepted';
+const COLLECTION_OFFER_CANCELED = 'CollectionOfferCancelled';
+const TRAIT_OFFER_CREATED = 'TraitOfferCreated';
+const COUNTER_OFFER_CREATED = 'CounterOfferCreated';
+const COUNTER_OFFER_ACCEPTED = 'CounterOfferAccepted';
+const COUNTER_OFFER_CANCELLED = 'CounterOfferCancelled';
+const ERC1155_OFFER_CREATED = 'Erc1155OfferCreated';
+const ERC1155_OFFER_ACCEPTED = 'Erc1155OfferAccepted';
+
+const PENDING_WITHDRAWAL_CREDITED = 'PendingWithdrawalCredited';
 
 const DURATION_TOO_SHORT = 'DurationTooShort';
+const NOT_EXPIRED_OFFER = 'NotExpiredOffer';
+
+const OFFER_STATUS = {
+  NONE: 0,
+  ACTIVE: 1,
+  EXPIRED: 2,
+  ACCEPTED: 3,
+  CANCELLED: 4,
+};
 
 describe('ExchangeOffer', function () {
   let endemicExchange, endemicToken, nftContract, royaltiesProviderContract;
@@ -799,189 +827,475 @@ describe('ExchangeOffer', function () {
     });
   });
 
-  describe('Accept offer with Ether', () => {
-    beforeEach(async () => {
-      await deploy();
-      await royaltiesProviderContract.setRoyaltiesForCollection(
-        nftContract.address,
-        royaltiesRecipient.address,
-        1000
-      );
-    });
-
-    it('should be able to accept offer', async () => {
-      // sending wants to offer 0.5 eth
-      // taker fee is 3% = 0.015 eth
-      // user sends 0.515 eth
-      // owner of nft sees offer with 0.5 eth
-      // maker sale fee is 3% = 0.015 eth
-      // royalties are 10% 0.05
-      // owner will get 0.435 ETH
-      // total fee is 0.030
-      const royaltiesRecipientBalance1 = await royaltiesRecipient.getBalance();
-      const feeBalance1 = await nftContract.provider.getBalance(FEE_RECIPIENT);
+  describe('Refund expired offers', () => {
+    beforeEach(deploy);
 
-      await endemicExchange.placeOffer(nftContract.address, 1, 100000000, {
-        value: ethers.utils.parseUnits('0.515'),
+    it('should refund expired offers and skip active ones', async () => {
+      await endemicExchange.placeOffer(nftContract.address, 1, 3600, {
+        value: ethers.utils.parseUnits('0.5'),
       });
 
-      const user1Balance1 = await user1.getBalance();
+      await endemicExchange
+        .connect(user2)
+        .placeOffer(nftContract.address, 2, 100000, {
+          value: ethers.utils.parseUnits('0.3'),
+        });
 
-      const offer = await endemicExchange.getOffer(1);
+      await network.provider.send('evm_increaseTime', [3601]);
+      await network.provider.send('evm_mine');
 
-      const acceptOfferTx = await endemicExchange
-        .connect(user1)
-        .acceptOffer(offer.id);
+      expect(await endemicExchange.getOfferStatus(1)).to.equal(
+        OFFER_STATUS.EXPIRED
+      );
 
-      await expect(acceptOfferTx)
-        .to.emit(endemicExchange, OFFER_ACCEPTED)
-        .withArgs(
-          offer.id,
-          nftContract.address,
-          1,
-          owner.address,
-          user1.address,
-          ethers.utils.parseUnits('0.5'),
-          ethers.utils.parseUnits('0.030')
-        );
+      const ownerBalance1 = await owner.getBalance();
 
-      expect(await nftContract.ownerOf(1)).to.equal(owner.address);
+      await expect(
+        endemicExchange.connect(user3).refundExpiredOffers([1, 2, 99])
+      )
+        .to.emit(endemicExchange, OFFER_CANCELED)
+        .withArgs(1, nftContract.address, 1, owner.address);
 
-      const user1Balance2 = await user1.getBalance();
-      expect(user1Balance2.sub(user1Balance1)).to.be.closeTo(
-        ethers.utils.parseUnits('0.435'),
-        ethers.utils.parseUnits('0.001') //gas
+      const ownerBalance2 = await owner.getBalance();
+      expect(ownerBalance2.sub(ownerBalance1)).to.equal(
+        ethers.utils.parseUnits('0.5')
       );
 
-      const feeBalance2 = await nftContract.provider.getBalance(
-        '0x1d1C46273cEcC00F7503AB3E97A40a199bcd6b31'
+      await expect(endemicExchange.getOffer(1)).to.be.revertedWith(
+        INVALID_OFFER_ERROR
       );
-      expect(feeBalance2.sub(feeBalance1).toString()).to.equal(
-        ethers.utils.parseUnits('0.030')
+      expect(await endemicExchange.getOfferStatus(1)).to.equal(
+        OFFER_STATUS.EXPIRED
       );
 
-      const royaltiesRecipientBalance2 = await royaltiesRecipient.getBalance();
-      expect(
-        royaltiesRecipientBalance2.sub(royaltiesRecipientBalance1)
-      ).to.equal(ethers.utils.parseUnits('0.05'));
+      const offer = await endemicExchange.getOffer(2);
+      expect(offer.bidder).to.equal(user2.address);
+      expect(await endemicExchange.getOfferStatus(2)).to.equal(
+        OFFER_STATUS.ACTIVE
+      );
     });
 
-    it('should be able to accept offer after purchase', async () => {
-      await endemicExchange.placeOffer(nftContract.address, 1, 100000, {
-        value: ethers.utils.parseUnits('0.515'),
-      });
+    it('should pay reward to caller when refunding expired offers', async () => {
+      await expect(endemicExchange.updateExpiredOfferRefundReward(100))
+        .to.emit(endemicExchange, 'ExpiredOfferRefundRewardUpdated')
+        .withArgs(100);
 
       await endemicExchange
         .connect(user2)
-        .placeOffer(nftContract.address, 1, 100000, {
-          value: ethers.utils.parseUnits('0.616'),
+        .placeOffer(nftContract.address, 1, 3600, {
+          value: ethers.utils.parseUnits('1'),
         });
 
-      const offer1 = await endemicExchange.getOffer(1);
-      const offer2 = await endemicExchange.getOffer(2);
+      await network.provider.send('evm_increaseTime', [3601]);
+      await network.provider.send('evm_mine');
 
-      await endemicExchange.connect(user1).acceptOffer(offer1.id);
-      await nftContract.approve(endemicExchange.address, 1);
-      await endemicExchange.acceptOffer(offer2.id);
+      const user2Balance1 = await user2.getBalance();
+      const user3Balance1 = await user3.getBalance();
+
+      const refundTx = await endemicExchange
+        .connect(user3)
+        .refundExpiredOffers([1]);
+      const receipt = await refundTx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      const user2Balance2 = await user2.getBalance();
+      const user3Balance2 = await user3.getBalance();
+
+      expect(user2Balance2.sub(user2Balance1)).to.equal(
+        ethers.utils.parseUnits('0.99')
+      );
+      expect(user3Balance2.sub(user3Balance1).add(gasCost)).to.equal(
+        ethers.utils.parseUnits('0.01')
+      );
+    });
+
+    it('should credit bidder that rejects ether when refunding expired offer', async () => {
+      const bidder = ethers.Wallet.createRandom().connect(ethers.provider);
+      await network.provider.send('hardhat_setBalance', [
+        bidder.address,
+        ethers.utils.hexValue(ethers.utils.parseUnits('1')),
+      ]);
+
+      await endemicExchange
+        .connect(bidder)
+        .placeOffer(nftContract.address, 1, 3600, {
+          value: ethers.utils.parseUnits('0.5'),
+        });
+
+      // Receiving code loops until it runs out of gas
+      await network.provider.send('hardhat_setCode', [
+        bidder.address,
+        '0x5b600056',
+      ]);
+
+      await network.provider.send('evm_increaseTime', [3601]);
+      await network.provider.send('evm_mine');
+
+      await expect(endemicExchange.connect(user3).refundExpiredOffers([1]))
+        .to.emit(endemicExchange, PENDING_WITHDRAWAL_CREDITED)
+        .withArgs(bidder.address, ethers.utils.parseUnits('0.5'))
+        .and.to.emit(endemicExchange, OFFER_CANCELED)
+        .withArgs(1, nftContract.address, 1, bidder.address);
+
+      expect(
+        await endemicExchange.getPendingWithdrawal(bidder.address)
+      ).to.equal(ethers.utils.parseUnits('0.5'));
+    });
+
+    it('should fail to update refund reward over the limit', async () => {
+      await expect(
+        endemicExchange.updateExpiredOfferRefundReward(101)
+      ).to.be.revertedWith('InvalidFees');
+
+      await expect(
+        endemicExchange.connect(user1).updateExpiredOfferRefundReward(50)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+    });
+
+    it('should track status of accepted and cancelled offers', async () => {
+      await endemicExchange.placeOffer(nftContract.address, 1, 100000, {
+        value: ethers.utils.parseUnits('0.515'),
+      });
+      await endemicExchange.placeOffer(nftContract.address, 2, 100000, {
+        value: ethers.utils.parseUnits('0.515'),
+      });
+
+      await endemicExchange.connect(user1).acceptOffer(1);
+      await endemicExchange.cancelOffer(2);
+
+      expect(await endemicExchange.getOfferStatus(1)).to.equal(
+        OFFER_STATUS.ACCEPTED
+      );
+      expect(await endemicExchange.getOfferStatus(2)).to.equal(
+        OFFER_STATUS.CANCELLED
+      );
+      expect(await endemicExchange.getOfferStatus(3)).to.equal(
+        OFFER_STATUS.NONE
+      );
     });
   });
 
-  describe('Accept offer with ERC20', () => {
-    beforeEach(async () => {
-      await deploy();
+  describe('Update offer', () => {
+    beforeEach(deploy);
 
-      endemicToken = await deployEndemicToken(owner);
+    it('should raise offer price and extend expiry', async () => {
+      await endemicExchange.placeOffer(nftContract.address, 1, 3600, {
+        value: ethers.utils.parseUnits('0.515'),
+      });
 
-      await endemicExchange.updateSupportedErc20Tokens(
-        endemicToken.address,
-        true
+      const updateTx = await endemicExchange.updateOffer(
+        1,
+        ethers.utils.parseUnits('0.618'),
+        7200,
+        {
+          value: ethers.utils.parseUnits('0.103'),
+        }
       );
+      const receipt = await updateTx.wait();
+      const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
 
-      await royaltiesProviderContract.setRoyaltiesForCollection(
-        nftContract.address,
-        royaltiesRecipient.address,
-        1000
+      await expect(updateTx)
+        .to.emit(endemicExchange, OFFER_UPDATED)
+        .withArgs(
+          1,
+          nftContract.address,
+          1,
+          owner.address,
+          ethers.utils.parseUnits('0.6'),
+          timestamp + 7200
+        );
+
+      const offer = await endemicExchange.getOffer(1);
+      expect(offer.price).to.equal(ethers.utils.parseUnits('0.6'));
+      expect(offer.priceWithTakerFee).to.equal(
+        ethers.utils.parseUnits('0.618')
       );
+      expect(offer.expiresAt).to.equal(timestamp + 7200);
+
+      expect(
+        await ethers.provider.getBalance(endemicExchange.address)
+      ).to.equal(ethers.utils.parseUnits('0.618'));
     });
 
-    it('should be able to accept offer', async () => {
-      // sending wants to offer 0.5 eth
-      // taker fee is 3% = 0.015 eth
-      // user sends 0.515 eth
-      // owner of nft sees offer with 0.5 eth
-      // maker sale fee is 3% = 0.015 eth
-      // royalties are 10% 0.05
-      // owner will get 0.435 ETH
-      // total fee is 0.030
-      const royaltiesRecipientBalance1 = await endemicToken.balanceOf(
-        royaltiesRecipient.address
+    it('should lower offer price and refund the difference', async () => {
+      await endemicExchange.placeOffer(nftContract.address, 1, 3600, {
+        value: ethers.utils.parseUnits('0.515'),
+      });
+
+      const { expiresAt } = await endemicExchange.getOffer(1);
+      const ownerBalance1 = await owner.getBalance();
+
+      const updateTx = await endemicExchange.updateOffer(
+        1,
+        ethers.utils.parseUnits('0.309'),
+        0
       );
-      const feeBalance1 = await endemicToken.balanceOf(FEE_RECIPIENT);
+      const receipt = await updateTx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
 
-      await endemicToken.transfer(
-        user3.address,
-        ethers.utils.parseUnits('0.515')
+      const ownerBalance2 = await owner.getBalance();
+      expect(ownerBalance2.sub(ownerBalance1).add(gasCost)).to.equal(
+        ethers.utils.parseUnits('0.206')
       );
 
-      await endemicToken
-        .connect(user3)
-        .approve(endemicExchange.address, ethers.utils.parseUnits('0.515'));
+      const offer = await endemicExchange.getOffer(1);
+      expect(offer.price).to.equal(ethers.utils.parseUnits('0.3'));
+      expect(offer.expiresAt).to.equal(expiresAt);
+    });
+
+    it('should fail to update offer with invalid parameters', async () => {
+      await endemicExchange.placeOffer(nftContract.address, 1, 3600, {
+        value: ethers.utils.parseUnits('0.515'),
+      });
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .updateOffer(1, ethers.utils.parseUnits('0.618'), 0, {
+            value: ethers.utils.parseUnits('0.618'),
+          })
+      ).to.be.revertedWith(INVALID_OFFER_ERROR);
+
+      await expect(
+        endemicExchange.updateOffer(1, ethers.utils.parseUnits('0.618'), 0, {
+          value: ethers.utils.parseUnits('0.1'),
+        })
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED);
+
+      await expect(
+        endemicExchange.updateOffer(1, ethers.utils.parseUnits('0.515'), 60)
+      ).to.be.revertedWith(DURATION_TOO_SHORT);
 
+      await network.provider.send('evm_increaseTime', [3601]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange.updateOffer(1, ethers.utils.parseUnits('0.515'), 0)
+      ).to.be.revertedWith(INVALID_OFFER_ERROR);
+    });
+  });
+
+  describe('Counter offers', () => {
+    beforeEach(deploy);
+
+    it('should accept counter offer with ether top up', async () => {
       await endemicExchange
-        .connect(user3)
-        .placeOfferInErc20(
+        .connect(user2)
+        .placeOffer(nftContract.address, 1, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      const counterTx = await endemicExchange
+        .connect(user1)
+        .counterOffer(1, ethers.utils.parseUnits('0.6'), 3600);
+      const counterReceipt = await counterTx.wait();
+      const { timestamp } = await ethers.provider.getBlock(
+        counterReceipt.blockNumber
+      );
+      const expiresAt = timestamp + 3600;
+
+      await expect(counterTx)
+        .to.emit(endemicExchange, COUNTER_OFFER_CREATED)
+        .withArgs(
+          1,
           nftContract.address,
-          endemicToken.address,
-          ethers.utils.parseUnits('0.515'),
-          4,
-          100000000
+          1,
+          user2.address,
+          user1.address,
+          ethers.utils.parseUnits('0.6'),
+          expiresAt
         );
 
-      const user1Balance1 = await endemicToken.balanceOf(user1.address);
+      const counter = await endemicExchange.getCounterOffer(1);
+      expect(counter.seller).to.equal(user1.address);
+      expect(counter.price).to.equal(ethers.utils.parseUnits('0.6'));
+      expect(counter.expiresAt).to.equal(expiresAt);
 
-      const offer = await endemicExchange.getOffer(1);
+      // 0.6 plus 3% taker fee is 0.618, 0.103 more than escrowed
+      await expect(
+        endemicExchange.connect(user2).acceptCounterOffer(1, {
+          value: ethers.utils.parseUnits('0.1'),
+        })
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED);
 
-      const acceptOfferTx = await endemicExchange
-        .connect(user1)
-        .acceptOffer(offer.id);
+      const user1Balance1 = await user1.getBalance();
+      const user2Balance1 = await user2.getBalance();
 
-      await expect(acceptOfferTx)
+      const acceptTx = await endemicExchange
+        .connect(user2)
+        .acceptCounterOffer(1, {
+          value: ethers.utils.parseUnits('0.2'),
+        });
+
+      await expect(acceptTx)
+        .to.emit(endemicExchange, COUNTER_OFFER_ACCEPTED)
+        .withArgs(
+          1,
+          user2.address,
+          user1.address,
+          ethers.utils.parseUnits('0.6')
+        );
+
+      await expect(acceptTx)
         .to.emit(endemicExchange, OFFER_ACCEPTED)
         .withArgs(
-          offer.id,
+          1,
           nftContract.address,
-          4,
-          user3.address,
+          1,
+          user2.address,
           user1.address,
-          ethers.utils.parseUnits('0.5'),
-          ethers.utils.parseUnits('0.030')
+          ethers.utils.parseUnits('0.6'),
+          ethers.utils.parseUnits('0.036')
         );
 
-      expect(await nftContract.ownerOf(4)).to.equal(user3.address);
+      const receipt = await acceptTx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
 
-      const user1Balance2 = await endemicToken.balanceOf(user1.address);
-      expect(user1Balance2.sub(user1Balance1)).to.be.closeTo(
-        ethers.utils.parseUnits('0.435'),
-        ethers.utils.parseUnits('0.001') //gas
-      );
+      const user1Balance2 = await user1.getBalance();
+      const user2Balance2 = await user2.getBalance();
 
-      const feeBalance2 = await endemicToken.balanceOf(FEE_RECIPIENT);
-      expect(feeBalance2.sub(feeBalance1).toString()).to.equal(
-        ethers.utils.parseUnits('0.030')
+      expect(await nftContract.ownerOf(1)).to.equal(user2.address);
+      // 0.6 minus 3% maker fee and 10% royalties
+      expect(user1Balance2.sub(user1Balance1)).to.equal(
+        ethers.utils.parseUnits('0.522')
       );
-
-      const royaltiesRecipientBalance2 = await endemicToken.balanceOf(
-        royaltiesRecipient.address
+      expect(user2Balance1.sub(user2Balance2).sub(gasCost)).to.equal(
+        ethers.utils.parseUnits('0.103')
       );
-      expect(
-        royaltiesRecipientBalance2.sub(royaltiesRecipientBalance1)
-      ).to.equal(ethers.utils.parseUnits('0.05'));
-    });
 
-    it('should be able to accept offer after purchase', async () => {
-      await endemicToken.transfer(
-        user3.address,
-        ethers.utils.parseUnits('0.515')
+      await expect(endemicExchange.getCounterOffer(1)).to.be.revertedWith(
+        INVALID_COUNTER_OFFER
+      );
+    });
+
+    it('should fail to counter offer when not token owner', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeOffer(nftContract.address, 1, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await expect(
+        endemicExchange
+          .connect(user3)
+          .counterOffer(1, ethers.utils.parseUnits('0.6'), 3600)
+      ).to.be.revertedWith(SELLER_NOT_ASSET_OWNER);
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .counterOffer(1, ethers.utils.parseUnits('0.5'), 3600)
+      ).to.be.revertedWith(INVALID_COUNTER_OFFER);
+    });
+
+    it('should fail to accept missing or cancelled counter offer', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeOffer(nftContract.address, 1, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await expect(
+        endemicExchange.connect(user2).acceptCounterOffer(1, {
+          value: ethers.utils.parseUnits('0.103'),
+        })
+      ).to.be.revertedWith(INVALID_COUNTER_OFFER);
+
+      await endemicExchange
+        .connect(user1)
+        .counterOffer(1, ethers.utils.parseUnits('0.6'), 3600);
+
+      await expect(
+        endemicExchange.connect(user3).acceptCounterOffer(1, {
+          value: ethers.utils.parseUnits('0.103'),
+        })
+      ).to.be.revertedWith(INVALID_OFFER_ERROR);
+
+      await expect(
+        endemicExchange.connect(user3).cancelCounterOffer(1)
+      ).to.be.revertedWith(INVALID_COUNTER_OFFER);
+
+      await expect(endemicExchange.connect(user1).cancelCounterOffer(1))
+        .to.emit(endemicExchange, COUNTER_OFFER_CANCELLED)
+        .withArgs(1, user1.address);
+
+      await expect(
+        endemicExchange.connect(user2).acceptCounterOffer(1, {
+          value: ethers.utils.parseUnits('0.103'),
+        })
+      ).to.be.revertedWith(INVALID_COUNTER_OFFER);
+    });
+
+    it('should fail to accept expired counter offer', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeOffer(nftContract.address, 1, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await expect(
+        endemicExchange
+          .connect(user1)
+          .counterOffer(1, ethers.utils.parseUnits('0.6'), 60)
+      ).to.be.revertedWith(DURATION_TOO_SHORT);
+
+      await endemicExchange
+        .connect(user1)
+        .counterOffer(1, ethers.utils.parseUnits('0.6'), 3600);
+
+      await network.provider.send('evm_increaseTime', [3601]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange.connect(user2).acceptCounterOffer(1, {
+          value: ethers.utils.parseUnits('0.103'),
+        })
+      ).to.be.revertedWith(INVALID_COUNTER_OFFER);
+    });
+
+    it('should clear counter offer when offer is updated or cancelled', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeOffer(nftContract.address, 1, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await endemicExchange
+        .connect(user1)
+        .counterOffer(1, ethers.utils.parseUnits('0.6'), 3600);
+
+      await endemicExchange
+        .connect(user2)
+        .updateOffer(1, ethers.utils.parseUnits('0.5665'), 0, {
+          value: ethers.utils.parseUnits('0.0515'),
+        });
+
+      await expect(endemicExchange.getCounterOffer(1)).to.be.revertedWith(
+        INVALID_COUNTER_OFFER
+      );
+
+      await endemicExchange
+        .connect(user1)
+        .counterOffer(1, ethers.utils.parseUnits('0.6'), 3600);
+
+      await endemicExchange.connect(user2).cancelOffer(1);
+
+      await expect(endemicExchange.getCounterOffer(1)).to.be.revertedWith(
+        INVALID_COUNTER_OFFER
+      );
+    });
+
+    it('should accept counter offer with ERC20 allowance', async () => {
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+
+      await endemicToken.transfer(
+        user3.address,
+        ethers.utils.parseUnits('0.618')
       );
 
       await endemicToken
@@ -998,31 +1312,940 @@ describe('ExchangeOffer', function () {
           100000
         );
 
+      await endemicExchange
+        .connect(user1)
+        .counterOffer(1, ethers.utils.parseUnits('0.6'), 3600);
+
+      await expect(
+        endemicExchange.connect(user3).acceptCounterOffer(1)
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED);
+
+      await endemicToken
+        .connect(user3)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('0.618'));
+
+      await expect(endemicExchange.connect(user3).acceptCounterOffer(1))
+        .to.emit(endemicExchange, COUNTER_OFFER_ACCEPTED)
+        .withArgs(
+          1,
+          user3.address,
+          user1.address,
+          ethers.utils.parseUnits('0.6')
+        );
+
+      expect(await nftContract.ownerOf(4)).to.equal(user3.address);
+      // 0.6 minus 3% maker fee and 10% royalties
+      expect(await endemicToken.balanceOf(user1.address)).to.equal(
+        ethers.utils.parseUnits('0.522')
+      );
+      expect(await endemicToken.balanceOf(FEE_RECIPIENT)).to.equal(
+        ethers.utils.parseUnits('0.036')
+      );
+    });
+  });
+
+  describe('Accept offer with Ether', () => {
+    beforeEach(async () => {
+      await deploy();
+      await royaltiesProviderContract.setRoyaltiesForCollection(
+        nftContract.address,
+        royaltiesRecipient.address,
+        1000
+      );
+    });
+
+    it('should be able to accept offer', async () => {
+      // sending wants to offer 0.5 eth
+      // taker fee is 3% = 0.015 eth
+      // user sends 0.515 eth
+      // owner of nft sees offer with 0.5 eth
+      // maker sale fee is 3% = 0.015 eth
+      // royalties are 10% 0.05
+      // owner will get 0.435 ETH
+      // total fee is 0.030
+      const royaltiesRecipientBalance1 = await royaltiesRecipient.getBalance();
+      const feeBalance1 = await nftContract.provider.getBalance(FEE_RECIPIENT);
+
+      await endemicExchange.placeOffer(nftContract.address, 1, 100000000, {
+        value: ethers.utils.parseUnits('0.515'),
+      });
+
+      const user1Balance1 = await user1.getBalance();
+
+      const offer = await endemicExchange.getOffer(1);
+
+      const acceptOfferTx = await endemicExchange
+        .connect(user1)
+        .acceptOffer(offer.id);
+
+      await expect(acceptOfferTx)
+        .to.emit(endemicExchange, OFFER_ACCEPTED)
+        .withArgs(
+          offer.id,
+          nftContract.address,
+          1,
+          owner.address,
+          user1.address,
+          ethers.utils.parseUnits('0.5'),
+          ethers.utils.parseUnits('0.030')
+        );
+
+      expect(await nftContract.ownerOf(1)).to.equal(owner.address);
+
+      const user1Balance2 = await user1.getBalance();
+      expect(user1Balance2.sub(user1Balance1)).to.be.closeTo(
+        ethers.utils.parseUnits('0.435'),
+        ethers.utils.parseUnits('0.001') //gas
+      );
+
+      const feeBalance2 = await nftContract.provider.getBalance(
+        '0x1d1C46273cEcC00F7503AB3E97A40a199bcd6b31'
+      );
+      expect(feeBalance2.sub(feeBalance1).toString()).to.equal(
+        ethers.utils.parseUnits('0.030')
+      );
+
+      const royaltiesRecipientBalance2 = await royaltiesRecipient.getBalance();
+      expect(
+        royaltiesRecipientBalance2.sub(royaltiesRecipientBalance1)
+      ).to.equal(ethers.utils.parseUnits('0.05'));
+    });
+
+    it('should be able to accept offer after purchase', async () => {
+      await endemicExchange.placeOffer(nftContract.address, 1, 100000, {
+        value: ethers.utils.parseUnits('0.515'),
+      });
+
+      await endemicExchange
+        .connect(user2)
+        .placeOffer(nftContract.address, 1, 100000, {
+          value: ethers.utils.parseUnits('0.616'),
+        });
+
+      const offer1 = await endemicExchange.getOffer(1);
+      const offer2 = await endemicExchange.getOffer(2);
+
+      await endemicExchange.connect(user1).acceptOffer(offer1.id);
+      await nftContract.approve(endemicExchange.address, 1);
+      await endemicExchange.acceptOffer(offer2.id);
+    });
+  });
+
+  describe('Accept offer with ERC20', () => {
+    beforeEach(async () => {
+      await deploy();
+
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+
+      await royaltiesProviderContract.setRoyaltiesForCollection(
+        nftContract.address,
+        royaltiesRecipient.address,
+        1000
+      );
+    });
+
+    it('should be able to accept offer', async () => {
+      // sending wants to offer 0.5 eth
+      // taker fee is 3% = 0.015 eth
+      // user sends 0.515 eth
+      // owner of nft sees offer with 0.5 eth
+      // maker sale fee is 3% = 0.015 eth
+      // royalties are 10% 0.05
+      // owner will get 0.435 ETH
+      // total fee is 0.030
+      const royaltiesRecipientBalance1 = await endemicToken.balanceOf(
+        royaltiesRecipient.address
+      );
+      const feeBalance1 = await endemicToken.balanceOf(FEE_RECIPIENT);
+
       await endemicToken.transfer(
-        user2.address,
-        ethers.utils.parseUnits('0.616')
+        user3.address,
+        ethers.utils.parseUnits('0.515')
       );
 
       await endemicToken
-        .connect(user2)
-        .approve(endemicExchange.address, ethers.utils.parseUnits('0.616'));
+        .connect(user3)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('0.515'));
 
       await endemicExchange
-        .connect(user2)
+        .connect(user3)
         .placeOfferInErc20(
           nftContract.address,
           endemicToken.address,
-          ethers.utils.parseUnits('0.616'),
+          ethers.utils.parseUnits('0.515'),
           4,
-          100000
+          100000000
         );
 
-      const offer1 = await endemicExchange.getOffer(1);
-      const offer2 = await endemicExchange.getOffer(2);
+      const user1Balance1 = await endemicToken.balanceOf(user1.address);
 
-      await endemicExchange.connect(user1).acceptOffer(offer1.id);
-      await nftContract.connect(user3).approve(endemicExchange.address, 4);
-      await endemicExchange.connect(user3).acceptOffer(offer2.id);
+      const offer = await endemicExchange.getOffer(1);
+
+      const acceptOfferTx = await endemicExchange
+        .connect(user1)
+        .acceptOffer(offer.id);
+
+      await expect(acceptOfferTx)
+        .to.emit(endemicExchange, OFFER_ACCEPTED)
+        .withArgs(
+          offer.id,
+          nftContract.address,
+          4,
+          user3.address,
+          user1.address,
+          ethers.utils.parseUnits('0.5'),
+          ethers.utils.parseUnits('0.030')
+        );
+
+      expect(await nftContract.ownerOf(4)).to.equal(user3.address);
+
+      const user1Balance2 = await endemicToken.balanceOf(user1.address);
+      expect(user1Balance2.sub(user1Balance1)).to.be.closeTo(
+        ethers.utils.parseUnits('0.435'),
+        ethers.utils.parseUnits('0.001') //gas
+      );
+
+      const feeBalance2 = await endemicToken.balanceOf(FEE_RECIPIENT);
+      expect(feeBalance2.sub(feeBalance1).toString()).to.equal(
+        ethers.utils.parseUnits('0.030')
+      );
+
+      const royaltiesRecipientBalance2 = await endemicToken.balanceOf(
+        royaltiesRecipient.address
+      );
+      expect(
+        royaltiesRecipientBalance2.sub(royaltiesRecipientBalance1)
+      ).to.equal(ethers.utils.parseUnits('0.05'));
+    });
+
+    it('should be able to accept offer after purchase', async () => {
+      await endemicToken.transfer(
+        user3.address,
+        ethers.utils.parseUnits('0.515')
+      );
+
+      await endemicToken
+        .connect(user3)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('0.515'));
+
+      await endemicExchange
+        .connect(user3)
+        .placeOfferInErc20(
+          nftContract.address,
+          endemicToken.address,
+          ethers.utils.parseUnits('0.515'),
+          4,
+          100000
+        );
+
+      await endemicToken.transfer(
+        user2.address,
+        ethers.utils.parseUnits('0.616')
+      );
+
+      await endemicToken
+        .connect(user2)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('0.616'));
+
+      await endemicExchange
+        .connect(user2)
+        .placeOfferInErc20(
+          nftContract.address,
+          endemicToken.address,
+          ethers.utils.parseUnits('0.616'),
+          4,
+          100000
+        );
+
+      const offer1 = await endemicExchange.getOffer(1);
+      const offer2 = await endemicExchange.getOffer(2);
+
+      await endemicExchange.connect(user1).acceptOffer(offer1.id);
+      await nftContract.connect(user3).approve(endemicExchange.address, 4);
+      await endemicExchange.connect(user3).acceptOffer(offer2.id);
+    });
+  });
+
+  describe('Collection offers', () => {
+    beforeEach(async () => {
+      await deploy();
+      await royaltiesProviderContract.setRoyaltiesForCollection(
+        nftContract.address,
+        royaltiesRecipient.address,
+        1000
+      );
+    });
+
+    it('should create collection offer for multiple tokens', async () => {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeCollectionOffer(nftContract.address, 2, 100000, {
+            value: ethers.utils.parseUnits('1.03'),
+          })
+      ).to.emit(endemicExchange, COLLECTION_OFFER_CREATED);
+
+      const offer = await endemicExchange.getCollectionOffer(1);
+      expect(offer.bidder).to.equal(user2.address);
+      expect(offer.price).to.equal(ethers.utils.parseUnits('0.5'));
+      expect(offer.priceWithTakerFee).to.equal(
+        ethers.utils.parseUnits('0.515')
+      );
+      expect(offer.quantity).to.equal(2);
+    });
+
+    it('should fail to create collection offer with uneven value', async () => {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeCollectionOffer(nftContract.address, 3, 100000, {
+            value: ethers.utils.parseUnits('1'),
+          })
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED);
+
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeCollectionOffer(nftContract.address, 0, 100000, {
+            value: ethers.utils.parseUnits('1'),
+          })
+      ).to.be.revertedWith(INVALID_VALUE_PROVIDED);
+    });
+
+    it('should accept collection offer until quantity is filled', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeCollectionOffer(nftContract.address, 2, 100000, {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      const feeBalance1 = await nftContract.provider.getBalance(FEE_RECIPIENT);
+      const user1Balance1 = await user1.getBalance();
+
+      await expect(endemicExchange.connect(user1).acceptCollectionOffer(1, 3))
+        .to.emit(endemicExchange, COLLECTION_OFFER_ACCEPTED)
+        .withArgs(
+          1,
+          nftContract.address,
+          3,
+          user2.address,
+          user1.address,
+          ethers.utils.parseUnits('0.5'),
+          ethers.utils.parseUnits('0.030')
+        );
+
+      expect(await nftContract.ownerOf(3)).to.equal(user2.address);
+      expect((await endemicExchange.getCollectionOffer(1)).quantity).to.equal(
+        1
+      );
+
+      await endemicExchange.connect(user1).acceptCollectionOffer(1, 4);
+      expect(await nftContract.ownerOf(4)).to.equal(user2.address);
+
+      const user1Balance2 = await user1.getBalance();
+      expect(user1Balance2.sub(user1Balance1)).to.be.closeTo(
+        ethers.utils.parseUnits('0.87'),
+        ethers.utils.parseUnits('0.001') //gas
+      );
+
+      const feeBalance2 = await nftContract.provider.getBalance(FEE_RECIPIENT);
+      expect(feeBalance2.sub(feeBalance1)).to.equal(
+        ethers.utils.parseUnits('0.06')
+      );
+
+      await expect(
+        endemicExchange.connect(user1).acceptCollectionOffer(1, 1)
+      ).to.be.revertedWith(INVALID_OFFER_ERROR);
+    });
+
+    it('should fail to accept collection offer for token of other owner', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeCollectionOffer(nftContract.address, 1, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await expect(endemicExchange.connect(user3).acceptCollectionOffer(1, 1))
+        .to.be.reverted;
+    });
+
+    it('should refund remaining quantity on cancel', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeCollectionOffer(nftContract.address, 2, 100000, {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await endemicExchange.connect(user1).acceptCollectionOffer(1, 1);
+
+      await expect(
+        endemicExchange.connect(user3).cancelCollectionOffer(1)
+      ).to.be.revertedWith(NOT_EXPIRED_OFFER);
+
+      const user2Balance1 = await user2.getBalance();
+
+      await expect(endemicExchange.connect(user2).cancelCollectionOffer(1))
+        .to.emit(endemicExchange, COLLECTION_OFFER_CANCELED)
+        .withArgs(1, nftContract.address, user2.address);
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance2.sub(user2Balance1)).to.be.closeTo(
+        ethers.utils.parseUnits('0.515'),
+        ethers.utils.parseUnits('0.001') //gas
+      );
+
+      await expect(endemicExchange.getCollectionOffer(1)).to.be.revertedWith(
+        INVALID_OFFER_ERROR
+      );
+    });
+
+    it('should refund expired collection offer when cancelled by anyone', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeCollectionOffer(nftContract.address, 2, 3600, {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await network.provider.send('evm_increaseTime', [3601]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange.connect(user1).acceptCollectionOffer(1, 1)
+      ).to.be.revertedWith(INVALID_OFFER_ERROR);
+
+      const user2Balance1 = await user2.getBalance();
+
+      await endemicExchange.connect(user3).cancelCollectionOffer(1);
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance2.sub(user2Balance1)).to.equal(
+        ethers.utils.parseUnits('1.03')
+      );
+    });
+
+    it('should accept collection offer in ERC20', async () => {
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+
+      await endemicToken.transfer(
+        user3.address,
+        ethers.utils.parseUnits('1.03')
+      );
+
+      await endemicToken
+        .connect(user3)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('1.03'));
+
+      await endemicExchange
+        .connect(user3)
+        .placeCollectionOfferInErc20(
+          nftContract.address,
+          endemicToken.address,
+          ethers.utils.parseUnits('1.03'),
+          2,
+          100000
+        );
+
+      await endemicExchange.connect(user1).acceptCollectionOffer(1, 2);
+
+      expect(await nftContract.ownerOf(2)).to.equal(user3.address);
+      expect(await endemicToken.balanceOf(FEE_RECIPIENT)).to.equal(
+        ethers.utils.parseUnits('0.030')
+      );
+      expect(await endemicToken.balanceOf(user1.address)).to.equal(
+        ethers.utils.parseUnits('0.435')
+      );
+    });
+  });
+
+  describe('Offer quotes', () => {
+    beforeEach(async () => {
+      await deploy(250, 300);
+      await royaltiesProviderContract.setRoyaltiesForCollection(
+        nftContract.address,
+        royaltiesRecipient.address,
+        1000
+      );
+    });
+
+    it('should quote what seller receives for offer', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeOffer(nftContract.address, 1, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      const quote = await endemicExchange.getOfferQuote(1, 1, user1.address);
+
+      // 0.5 minus 2.5% maker fee minus 10% royalties
+      expect(quote.price).to.equal(ethers.utils.parseUnits('0.5'));
+      expect(quote.buyerTotal).to.equal(ethers.utils.parseUnits('0.515'));
+      expect(quote.makerCut).to.equal(ethers.utils.parseUnits('0.0125'));
+      expect(quote.takerCut).to.equal(ethers.utils.parseUnits('0.015'));
+      expect(quote.royaltiesRecipients).to.deep.equal([
+        royaltiesRecipient.address,
+      ]);
+      expect(quote.royaltiesCuts[0]).to.equal(ethers.utils.parseUnits('0.05'));
+      expect(quote.sellerProceeds).to.equal(ethers.utils.parseUnits('0.4375'));
+
+      const user1Balance1 = await user1.getBalance();
+
+      const tx = await endemicExchange.connect(user1).acceptOffer(1);
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      const user1Balance2 = await user1.getBalance();
+      expect(user1Balance2.sub(user1Balance1).add(gasCost)).to.equal(
+        quote.sellerProceeds
+      );
+    });
+
+    it('should fail to quote invalid offer or amount', async () => {
+      await expect(
+        endemicExchange.getOfferQuote(1, 1, user1.address)
+      ).to.be.revertedWith(INVALID_OFFER_ERROR);
+
+      await endemicExchange
+        .connect(user2)
+        .placeOffer(nftContract.address, 1, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await expect(
+        endemicExchange.getOfferQuote(1, 2, user1.address)
+      ).to.be.revertedWith(INVALID_AMOUNT);
+    });
+
+    it('should quote what seller receives for collection offer', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeCollectionOffer(nftContract.address, 2, 100000, {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      const quote = await endemicExchange.getCollectionOfferQuote(
+        1,
+        1,
+        user1.address
+      );
+
+      // Price is per token, 0.5 minus 2.5% maker fee minus 10% royalties
+      expect(quote.price).to.equal(ethers.utils.parseUnits('0.5'));
+      expect(quote.buyerTotal).to.equal(ethers.utils.parseUnits('0.515'));
+      expect(quote.makerCut).to.equal(ethers.utils.parseUnits('0.0125'));
+      expect(quote.takerCut).to.equal(ethers.utils.parseUnits('0.015'));
+      expect(quote.royaltiesRecipients).to.deep.equal([
+        royaltiesRecipient.address,
+      ]);
+      expect(quote.royaltiesCuts[0]).to.equal(ethers.utils.parseUnits('0.05'));
+      expect(quote.sellerProceeds).to.equal(ethers.utils.parseUnits('0.4375'));
+
+      const user1Balance1 = await user1.getBalance();
+
+      const tx = await endemicExchange
+        .connect(user1)
+        .acceptCollectionOffer(1, 1);
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      const user1Balance2 = await user1.getBalance();
+      expect(user1Balance2.sub(user1Balance1).add(gasCost)).to.equal(
+        quote.sellerProceeds
+      );
+    });
+
+    it('should quote what seller receives for trait offer', async () => {
+      const tree = buildMerkleTree([1, 3]);
+
+      await endemicExchange
+        .connect(user2)
+        .placeTraitOffer(nftContract.address, tree.root, 1, 100000, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      const quote = await endemicExchange.getCollectionOfferQuote(
+        1,
+        3,
+        user1.address
+      );
+
+      expect(quote.buyerTotal).to.equal(ethers.utils.parseUnits('0.515'));
+      expect(quote.sellerProceeds).to.equal(ethers.utils.parseUnits('0.4375'));
+
+      const user1Balance1 = await user1.getBalance();
+
+      const tx = await endemicExchange
+        .connect(user1)
+        .acceptTraitOffer(1, 3, tree.getProof(3));
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      const user1Balance2 = await user1.getBalance();
+      expect(user1Balance2.sub(user1Balance1).add(gasCost)).to.equal(
+        quote.sellerProceeds
+      );
+    });
+
+    it('should fail to quote invalid or expired collection offer', async () => {
+      await expect(
+        endemicExchange.getCollectionOfferQuote(1, 1, user1.address)
+      ).to.be.revertedWith(INVALID_OFFER_ERROR);
+
+      await endemicExchange
+        .connect(user2)
+        .placeCollectionOffer(nftContract.address, 1, 3600, {
+          value: ethers.utils.parseUnits('0.515'),
+        });
+
+      await network.provider.send('evm_increaseTime', [3601]);
+      await network.provider.send('evm_mine');
+
+      await expect(
+        endemicExchange.getCollectionOfferQuote(1, 1, user1.address)
+      ).to.be.revertedWith(INVALID_OFFER_ERROR);
+    });
+  });
+
+  describe('Trait offers', () => {
+    let tree;
+
+    beforeEach(async () => {
+      await deploy();
+
+      // Token ids with the wanted trait
+      tree = buildMerkleTree([1, 3]);
+    });
+
+    it('should create trait offer with merkle root', async () => {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeTraitOffer(nftContract.address, tree.root, 2, 100000, {
+            value: ethers.utils.parseUnits('1.03'),
+          })
+      )
+        .to.emit(endemicExchange, TRAIT_OFFER_CREATED)
+        .withArgs(1, nftContract.address, tree.root);
+
+      const offer = await endemicExchange.getCollectionOffer(1);
+      expect(offer.merkleRoot).to.equal(tree.root);
+      expect(offer.quantity).to.equal(2);
+    });
+
+    it('should fail to create trait offer without merkle root', async () => {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeTraitOffer(
+            nftContract.address,
+            ethers.constants.HashZero,
+            2,
+            100000,
+            {
+              value: ethers.utils.parseUnits('1.03'),
+            }
+          )
+      ).to.be.revertedWith(INVALID_OFFER_ERROR);
+    });
+
+    it('should accept trait offer for eligible tokens', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeTraitOffer(nftContract.address, tree.root, 2, 100000, {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await expect(
+        endemicExchange.connect(user1).acceptTraitOffer(1, 3, tree.getProof(3))
+      )
+        .to.emit(endemicExchange, COLLECTION_OFFER_ACCEPTED)
+        .withArgs(
+          1,
+          nftContract.address,
+          3,
+          user2.address,
+          user1.address,
+          ethers.utils.parseUnits('0.5'),
+          ethers.utils.parseUnits('0.030')
+        );
+
+      await endemicExchange
+        .connect(user1)
+        .acceptTraitOffer(1, 1, tree.getProof(1));
+
+      expect(await nftContract.ownerOf(1)).to.equal(user2.address);
+      expect(await nftContract.ownerOf(3)).to.equal(user2.address);
+    });
+
+    it('should fail to accept trait offer for token not in tree', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeTraitOffer(nftContract.address, tree.root, 2, 100000, {
+          value: ethers.utils.parseUnits('1.03'),
+        });
+
+      await expect(
+        endemicExchange.connect(user1).acceptTraitOffer(1, 2, tree.getProof(3))
+      ).to.be.revertedWith(INVALID_PROOF);
+
+      await expect(
+        endemicExchange.connect(user1).acceptCollectionOffer(1, 1)
+      ).to.be.revertedWith(INVALID_PROOF);
+    });
+
+    it('should accept trait offer in ERC20', async () => {
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+
+      await endemicToken.transfer(
+        user3.address,
+        ethers.utils.parseUnits('0.515')
+      );
+
+      await endemicToken
+        .connect(user3)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('0.515'));
+
+      await endemicExchange
+        .connect(user3)
+        .placeTraitOfferInErc20(
+          nftContract.address,
+          endemicToken.address,
+          ethers.utils.parseUnits('0.515'),
+          tree.root,
+          1,
+          100000
+        );
+
+      await endemicExchange
+        .connect(user1)
+        .acceptTraitOffer(1, 3, tree.getProof(3));
+
+      expect(await nftContract.ownerOf(3)).to.equal(user3.address);
+      // 0.5 minus 3% maker fee and 10% royalties
+      expect(await endemicToken.balanceOf(user1.address)).to.equal(
+        ethers.utils.parseUnits('0.435')
+      );
+      expect(await endemicToken.balanceOf(FEE_RECIPIENT)).to.equal(
+        ethers.utils.parseUnits('0.030')
+      );
+    });
+  });
+
+  describe('ERC1155 offers', () => {
+    let erc1155Contract;
+
+    beforeEach(async () => {
+      await deploy();
+
+      erc1155Contract = await deployEndemicERC1155();
+
+      await erc1155Contract.create({
+        artist: owner.address,
+        supply: 10,
+        tokenURI: 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+      });
+
+      await erc1155Contract.mint({
+        recipient: user1.address,
+        tokenId: 1,
+        amount: 3,
+      });
+
+      await erc1155Contract
+        .connect(user1)
+        .setApprovalForAll(endemicExchange.address, true);
+    });
+
+    it('should create offer for multiple copies', async () => {
+      const placeOfferTx = await endemicExchange
+        .connect(user2)
+        .placeErc1155Offer(erc1155Contract.address, 1, 3, 100000, {
+          value: ethers.utils.parseUnits('1.545'),
+        });
+
+      await expect(placeOfferTx).to.emit(endemicExchange, OFFER_CREATED);
+      await expect(placeOfferTx)
+        .to.emit(endemicExchange, ERC1155_OFFER_CREATED)
+        .withArgs(1, 3);
+
+      const offer = await endemicExchange.getOffer(1);
+      expect(offer.amount).to.equal(3);
+      expect(offer.assetClass).to.equal(ERC1155_ASSET_CLASS);
+      expect(offer.price).to.equal(ethers.utils.parseUnits('1.5'));
+    });
+
+    it('should fail to create offer for zero copies', async () => {
+      await expect(
+        endemicExchange
+          .connect(user2)
+          .placeErc1155Offer(erc1155Contract.address, 1, 0, 100000, {
+            value: ethers.utils.parseUnits('1.545'),
+          })
+      ).to.be.revertedWith(INVALID_AMOUNT);
+    });
+
+    it('should accept offer for all copies', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeErc1155Offer(erc1155Contract.address, 1, 3, 100000, {
+          value: ethers.utils.parseUnits('1.545'),
+        });
+
+      const acceptTx = await endemicExchange.connect(user1).acceptOffer(1);
+
+      await expect(acceptTx)
+        .to.emit(endemicExchange, OFFER_ACCEPTED)
+        .withArgs(
+          1,
+          erc1155Contract.address,
+          1,
+          user2.address,
+          user1.address,
+          ethers.utils.parseUnits('1.5'),
+          ethers.utils.parseUnits('0.09')
+        );
+      await expect(acceptTx)
+        .to.emit(endemicExchange, ERC1155_OFFER_ACCEPTED)
+        .withArgs(1, 3);
+
+      expect(await erc1155Contract.balanceOf(user2.address, 1)).to.equal(3);
+
+      await expect(endemicExchange.getOffer(1)).to.be.revertedWith(
+        INVALID_OFFER_ERROR
+      );
+    });
+
+    it('should accept offer partially', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeErc1155Offer(erc1155Contract.address, 1, 3, 100000, {
+          value: ethers.utils.parseUnits('1.545'),
+        });
+
+      const feeBalance1 = await nftContract.provider.getBalance(FEE_RECIPIENT);
+
+      const acceptTx = await endemicExchange
+        .connect(user1)
+        .acceptOfferPartially(1, 2);
+
+      await expect(acceptTx)
+        .to.emit(endemicExchange, OFFER_ACCEPTED)
+        .withArgs(
+          1,
+          erc1155Contract.address,
+          1,
+          user2.address,
+          user1.address,
+          ethers.utils.parseUnits('1'),
+          ethers.utils.parseUnits('0.06')
+        );
+      await expect(acceptTx)
+        .to.emit(endemicExchange, ERC1155_OFFER_ACCEPTED)
+        .withArgs(1, 2);
+
+      expect(await erc1155Contract.balanceOf(user2.address, 1)).to.equal(2);
+
+      const offer = await endemicExchange.getOffer(1);
+      expect(offer.amount).to.equal(1);
+      expect(offer.price).to.equal(ethers.utils.parseUnits('0.5'));
+      expect(offer.priceWithTakerFee).to.equal(
+        ethers.utils.parseUnits('0.515')
+      );
+
+      await expect(
+        endemicExchange.connect(user1).acceptOfferPartially(1, 2)
+      ).to.be.revertedWith(INVALID_AMOUNT);
+
+      await endemicExchange.connect(user1).acceptOfferPartially(1, 1);
+
+      expect(await erc1155Contract.balanceOf(user2.address, 1)).to.equal(3);
+
+      const feeBalance2 = await nftContract.provider.getBalance(FEE_RECIPIENT);
+      expect(feeBalance2.sub(feeBalance1)).to.equal(
+        ethers.utils.parseUnits('0.09')
+      );
+    });
+
+    it('should fail to accept offer without enough copies', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeErc1155Offer(erc1155Contract.address, 1, 3, 100000, {
+          value: ethers.utils.parseUnits('1.545'),
+        });
+
+      await expect(
+        endemicExchange.connect(user3).acceptOfferPartially(1, 1)
+      ).to.be.revertedWith(SELLER_NOT_ASSET_OWNER);
+    });
+
+    it('should refund remaining copies on cancel', async () => {
+      await endemicExchange
+        .connect(user2)
+        .placeErc1155Offer(erc1155Contract.address, 1, 3, 100000, {
+          value: ethers.utils.parseUnits('1.545'),
+        });
+
+      await endemicExchange.connect(user1).acceptOfferPartially(1, 1);
+
+      const user2Balance1 = await user2.getBalance();
+
+      await endemicExchange.connect(user2).cancelOffer(1);
+
+      const user2Balance2 = await user2.getBalance();
+      expect(user2Balance2.sub(user2Balance1)).to.be.closeTo(
+        ethers.utils.parseUnits('1.03'),
+        ethers.utils.parseUnits('0.001') //gas
+      );
+    });
+
+    it('should accept offer in ERC20', async () => {
+      endemicToken = await deployEndemicToken(owner);
+
+      await endemicExchange.updateSupportedErc20Tokens(
+        endemicToken.address,
+        true
+      );
+
+      await endemicToken.transfer(
+        user3.address,
+        ethers.utils.parseUnits('1.03')
+      );
+
+      await endemicToken
+        .connect(user3)
+        .approve(endemicExchange.address, ethers.utils.parseUnits('1.03'));
+
+      await endemicExchange
+        .connect(user3)
+        .placeErc1155OfferInErc20(
+          erc1155Contract.address,
+          endemicToken.address,
+          ethers.utils.parseUnits('1.03'),
+          1,
+          2,
+          100000
+        );
+
+      await endemicExchange.connect(user1).acceptOffer(1);
+
+      expect(await erc1155Contract.balanceOf(user3.address, 1)).to.equal(2);
+      expect(await endemicToken.balanceOf(FEE_RECIPIENT)).to.equal(
+        ethers.utils.parseUnits('0.06')
+      );
     });
   });
 });
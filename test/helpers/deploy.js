@@ -1,5 +1,9 @@
 const { ethers, upgrades } = require('hardhat');
 const { FEE_RECIPIENT } = require('./constants');
+const {
+  deployEndemicExchangeExtensions,
+  attachEndemicExchange,
+} = require('../../scripts/utils/exchange-extensions');
 
 const deployEndemicRewards = async (endemicTokenAddress) => {
   const EndemicRewards = await ethers.getContractFactory('EndemicRewards');
@@ -95,7 +99,13 @@ const deployEndemicExchange = async (
     }
   );
   await endemicExchangeContract.deployed();
-  return endemicExchangeContract;
+
+  const extensions = await deployEndemicExchangeExtensions(
+    endemicExchangeContract.address
+  );
+  await endemicExchangeContract.updateExtensions(...extensions);
+
+  return attachEndemicExchange(endemicExchangeContract.address);
 };
 
 const deployEndemicExchangeWithDeps = async (
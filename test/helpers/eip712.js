@@ -1,8 +1,25 @@
 const { ethers } = require('hardhat');
+const { ERC721_ASSET_CLASS } = require('./ids');
 
 const keccak256 = (value) =>
   ethers.utils.keccak256(ethers.utils.toUtf8Bytes(value));
 
+const EIP712_DOMAIN_TYPE = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' },
+  { name: 'salt', type: 'bytes32' },
+];
+
+const getDomain = (chainId, verifierContract) => ({
+  name: 'Endemic Exchange',
+  version: '1',
+  chainId: chainId,
+  verifyingContract: verifierContract,
+  salt: keccak256('Endemic Exchange Salt'),
+});
+
 const getTypedMessage = ({
   chainId,
   paymentErc20TokenAddress,
@@ -10,19 +27,20 @@ const getTypedMessage = ({
   nftContract,
   seller,
   buyer,
+  tokenId = 2,
+  amount = 1,
+  assetClass = ERC721_ASSET_CLASS,
+  price = 1,
+  deadline,
 }) => {
   return {
     types: {
-      EIP712Domain: [
-        { name: 'name', type: 'string' },
-        { name: 'version', type: 'string' },
-        { name: 'chainId', type: 'uint256' },
-        { name: 'verifyingContract', type: 'address' },
-        { name: 'salt', type: 'bytes32' },
-      ],
+      EIP712Domain: EIP712_DOMAIN_TYPE,
       PrivateSale: [
         { name: 'nftContract', type: 'address' },
         { name: 'tokenId', type: 'uint256' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'assetClass', type: 'bytes4' },
         { name: 'paymentErc20TokenAddress', type: 'address' },
         { name: 'seller', type: 'address' },
         { name: 'buyer', type: 'address' },
@@ -31,23 +49,41 @@ const getTypedMessage = ({
       ],
     },
     primaryType: 'PrivateSale',
-    domain: {
-      name: 'Endemic Exchange',
-      version: '1',
-      chainId: chainId,
-      verifyingContract: verifierContract,
-      salt: keccak256('Endemic Exchange Salt'),
-    },
+    domain: getDomain(chainId, verifierContract),
     message: {
       nftContract: nftContract,
-      tokenId: 2,
+      tokenId: tokenId,
+      amount: amount,
+      assetClass: assetClass,
       paymentErc20TokenAddress: paymentErc20TokenAddress,
       seller: seller,
       buyer: buyer,
-      price: 1,
-      deadline: 1678968943,
+      price: price,
+      deadline: deadline,
+    },
+  };
+};
+
+const getTypedOrderMessage = ({ chainId, verifierContract, order }) => {
+  return {
+    types: {
+      EIP712Domain: EIP712_DOMAIN_TYPE,
+      Order: [
+        { name: 'seller', type: 'address' },
+        { name: 'nftContract', type: 'address' },
+        { name: 'tokenId', type: 'uint256' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'assetClass', type: 'bytes4' },
+        { name: 'paymentErc20TokenAddress', type: 'address' },
+        { name: 'price', type: 'uint256' },
+        { name: 'expiresAt', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+      ],
     },
+    primaryType: 'Order',
+    domain: getDomain(chainId, verifierContract),
+    message: order,
   };
 };
 
-module.exports = { getTypedMessage, keccak256 };
+module.exports = { getTypedMessage, getTypedOrderMessage, keccak256 };
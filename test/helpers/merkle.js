@@ -0,0 +1,62 @@
+const { utils } = require('ethers');
+
+// Same leaf hashing as EndemicOffer: keccak256(abi.encodePacked(tokenId))
+const hashTokenId = (tokenId) =>
+  utils.solidityKeccak256(['uint256'], [tokenId]);
+
+// Pairs are sorted before hashing, as expected by OpenZeppelin MerkleProof
+const hashPair = (a, b) =>
+  a.toLowerCase() < b.toLowerCase()
+    ? utils.solidityKeccak256(['bytes32', 'bytes32'], [a, b])
+    : utils.solidityKeccak256(['bytes32', 'bytes32'], [b, a]);
+
+/**
+ * Builds merkle tree of eligible token ids for trait offers.
+ * Returns root to place offer with and function that builds proof for a token id
+ */
+const buildMerkleTree = (tokenIds) => {
+  const leaves = [...new Set(tokenIds.map((tokenId) => hashTokenId(tokenId)))];
+  if (leaves.length === 0) throw new Error('No token ids provided');
+
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const nextLayer = [];
+
+    for (let i = 0; i < layer.length; i += 2) {
+      // Odd node is promoted to the next layer unchanged
+      nextLayer.push(
+        i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]
+      );
+    }
+
+    layers.push(nextLayer);
+  }
+
+  const getProof = (tokenId) => {
+    let index = leaves.indexOf(hashTokenId(tokenId));
+    if (index === -1) throw new Error(`Token id ${tokenId} is not in tree`);
+
+    const proof = [];
+    for (let i = 0; i < layers.length - 1; i++) {
+      const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+      if (siblingIndex < layers[i].length) {
+        proof.push(layers[i][siblingIndex]);
+      }
+
+      index = Math.floor(index / 2);
+    }
+
+    return proof;
+  };
+
+  return {
+    root: layers[layers.length - 1][0],
+    getProof,
+  };
+};
+
+module.exports = {
+  hashTokenId,
+  buildMerkleTree,
+};